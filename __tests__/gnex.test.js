@@ -63,11 +63,21 @@ function createMockForm(action = "/submit", method = "POST") {
   return form;
 }
 
+// Resposta JSON simulada do fetch
+function jsonResponse(data = {}, { status = 200, headers = {} } = {}) {
+  return {
+    ok: status < 400,
+    status,
+    headers: new Headers({ "Content-Type": "application/json", ...headers }),
+    json: () => Promise.resolve(data),
+  };
+}
+
 // Limpa antes de cada teste
 beforeEach(() => {
   fetch.mockClear();
   document.body.innerHTML = "";
-  Gnex._responseCache.clear();
+  Gnex.cache.clear();
   Gnex._abortControllers = new WeakMap();
   Gnex._formConfigs = new WeakMap();
 });
@@ -145,7 +155,7 @@ describe("Validação", () => {
 
 describe("Cache", () => {
   test("deve usar resposta em cache", async () => {
-    const form = createMockForm();
+    const form = createMockForm("/submit", "GET");
     document.body.appendChild(form);
     fetch.mockResolvedValue({
       ok: true,
@@ -158,9 +168,67 @@ describe("Cache", () => {
     await new Promise(process.nextTick); // Aguarda o fetch
     expect(fetch).toHaveBeenCalledTimes(1);
     await form.dispatchEvent(new Event("submit"));
+    await new Promise(process.nextTick); // Aguarda a leitura do cache
     expect(fetch).toHaveBeenCalledTimes(1); // Não faz novo fetch
     expect(onSuccess).toHaveBeenCalledTimes(2);
   });
+
+  test("não deve cachear POST", async () => {
+    const form = createMockForm();
+    document.body.appendChild(form);
+    fetch.mockResolvedValue(jsonResponse({}));
+    Gnex.form("#mock-form", { async: true, cache: true });
+    form.dispatchEvent(new Event("submit"));
+    await new Promise(process.nextTick);
+    form.dispatchEvent(new Event("submit"));
+    await new Promise(process.nextTick);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("deve cachear load(), aplicar LRU e invalidar por padrão e por tag", async () => {
+    fetch.mockResolvedValue(jsonResponse({ ok: true }));
+    const maxEntries = Gnex.cache.maxEntries;
+    Gnex.cache.maxEntries = 2;
+    await Gnex.load("/a", { cache: true, cacheTags: ["users"] });
+    await Gnex.load("/b", { cache: true });
+    await Gnex.load("/a", { cache: true }); // /a passa a ser o mais recente
+    await Gnex.load("/c", { cache: true }); // Remove /b
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect((await Gnex.load("/a", { cache: true })).cached).toBe(true);
+
+    expect(await Gnex.cache.invalidate("GET:/c")).toBe(1);
+    expect(await Gnex.cache.invalidateTags("users")).toBe(1);
+    expect((await Gnex.load("/b", { cache: true })).cached).toBe(false);
+    expect((await Gnex.load("/a", { cache: true })).cached).toBe(false);
+    Gnex.cache.maxEntries = maxEntries;
+  });
+
+  test("deve usar cacheKey customizado e sessionStorage", async () => {
+    fetch.mockResolvedValue(jsonResponse({ ok: true }));
+    const cacheKey = jest.fn(({ url }) => `custom:${url}`);
+    await Gnex.load("/x?t=1", { cache: true, cacheKey, cacheStorage: "session" });
+    expect(JSON.parse(sessionStorage.getItem("gnex-cache:custom:/x?t=1")).data).toEqual({ ok: true });
+    expect((await Gnex.load("/x?t=1", { cache: true, cacheKey, cacheStorage: "session" })).cached).toBe(true);
+    await Gnex.cache.clear("session");
+    expect(sessionStorage.length).toBe(0);
+  });
+
+  test("deve entregar resposta vencida e revalidar em segundo plano", async () => {
+    const now = jest.spyOn(Date, "now").mockReturnValue(1000);
+    fetch.mockResolvedValue(jsonResponse({ version: 1 }));
+    await Gnex.load("/swr", { cache: 1, staleWhileRevalidate: true });
+
+    now.mockReturnValue(5000);
+    fetch.mockResolvedValue(jsonResponse({ version: 2 }));
+    const onSuccess = jest.fn();
+    const result = await Gnex.load("/swr", { cache: 1, staleWhileRevalidate: true, onSuccess });
+    expect(result).toMatchObject({ data: { version: 1 }, cached: true });
+    await new Promise(process.nextTick);
+    expect(onSuccess).toHaveBeenNthCalledWith(1, "json", null, { version: 1 });
+    expect(onSuccess).toHaveBeenNthCalledWith(2, "json", null, { version: 2 });
+    expect((await Gnex.load("/swr", { cache: 1, staleWhileRevalidate: true })).data).toEqual({ version: 2 });
+    now.mockRestore();
+  });
 });
 
 describe("SSE", () => {
@@ -190,35 +258,107 @@ describe("SSE", () => {
 });
 
 describe("Progresso", () => {
-  test("deve chamar onProgress durante upload", async () => {
+  // Mock do XMLHttpRequest pro upload
+  class MockXhr {
+    constructor() {
+      this.upload = {};
+      this.headers = {};
+      MockXhr.instances.push(this);
+    }
+    open(method, url) {
+      this.method = method;
+      this.url = url;
+    }
+    setRequestHeader(name, value) {
+      this.headers[name] = value;
+    }
+    send(body) {
+      this.body = body;
+      setTimeout(() => {
+        this.upload.onprogress({ lengthComputable: true, loaded: 5, total: 10 });
+        this.upload.onprogress({ lengthComputable: true, loaded: 10, total: 10 });
+        this.status = 200;
+        const body = MockXhr.responseBody || ['{"uploaded":true}'];
+        if (this.responseType === "blob") {
+          this.response = new Blob(body, { type: MockXhr.contentType || "application/json" });
+        } else {
+          this.responseText = body.join("");
+        }
+        this.onload();
+      }, 5);
+    }
+    getAllResponseHeaders() {
+      return `content-type: ${MockXhr.contentType || "application/json"}\r\n`;
+    }
+    abort() {
+      this.onabort();
+    }
+  }
+
+  const originalXhr = global.XMLHttpRequest;
+  beforeEach(() => {
+    MockXhr.instances = [];
+    MockXhr.responseBody = null;
+    MockXhr.contentType = null;
+    global.XMLHttpRequest = MockXhr;
+  });
+  afterEach(() => {
+    global.XMLHttpRequest = originalXhr;
+  });
+
+  function createUploadForm() {
     const form = createMockForm("/upload", "POST");
-    const file = new File(["content"], "test.txt", { type: "text/plain" });
-    form.innerHTML = '<input type="file" name="file">';
-    const input = form.querySelector("input");
-    Object.defineProperty(input, "files", {
-      value: [file],
-      writable: false,
-    });
     document.body.appendChild(form);
+    const file = new File(["content"], "test.txt", { type: "text/plain" });
+    const transformData = (formData) => {
+      formData.append("file", file);
+      return formData;
+    };
+    return { form, transformData };
+  }
+
+  test("deve chamar onProgress durante upload via XHR sem duplicar a requisição", async () => {
+    const { form, transformData } = createUploadForm();
     const onProgress = jest.fn();
+    const onSuccess = jest.fn();
+    Gnex.form("#mock-form", { async: true, headers: { "X-Test": "1" }, transformData, onProgress, onSuccess });
+    const completed = new Promise((resolve) => form.addEventListener("gnex:complete", resolve, { once: true }));
+    form.dispatchEvent(new Event("submit"));
+    await completed;
 
-    // Mock específico pro fetch interno do proxyFetch
-    jest.spyOn(global, "fetch").mockResolvedValueOnce({
-      ok: true,
-      headers: new Headers(),
-      body: new ReadableStream({
-        start(controller) {
-          controller.enqueue(new Uint8Array([1, 2, 3])); // Primeira parte: 3 bytes
-          controller.enqueue(new Uint8Array([4, 5]));    // Segunda parte: 2 bytes
-          controller.close();
-        },
-      }),
+    expect(fetch).not.toHaveBeenCalled();
+    expect(MockXhr.instances).toHaveLength(1);
+    expect(MockXhr.instances[0].headers).toEqual({ "X-Test": "1" });
+    expect(onProgress).toHaveBeenCalledWith(form, expect.objectContaining({ loaded: 5, total: 10, percent: 50 }));
+    expect(onProgress).toHaveBeenLastCalledWith(form, expect.objectContaining({ percent: 100, eta: 0 }));
+    expect(onSuccess).toHaveBeenCalledWith("json", form, { uploaded: true });
+  });
+
+  test("deve preservar respostas binárias recebidas via XHR", async () => {
+    const { form, transformData } = createUploadForm();
+    MockXhr.responseBody = [new Uint8Array([0xff, 0x00, 0x80])];
+    MockXhr.contentType = "application/octet-stream";
+
+    const result = await Gnex.submit(form, { transport: "xhr", transformData, download: false });
+
+    expect(MockXhr.instances[0].responseType).toBe("blob");
+    expect(result.type).toBe("blob");
+    const bytes = await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(Array.from(new Uint8Array(reader.result)));
+      reader.readAsArrayBuffer(result.data);
     });
+    expect(bytes).toEqual([0xff, 0x00, 0x80]);
+  });
 
-    Gnex.form("#mock-form", { async: true, onProgress });
-    await form.dispatchEvent(new Event("submit"));
-    await new Promise(resolve => setTimeout(resolve, 200)); // Aguarda o processamento completo
-    expect(onProgress).toHaveBeenCalled();
+  test("deve abortar o upload via XHR", async () => {
+    const { form, transformData } = createUploadForm();
+    const onError = jest.fn();
+    Gnex.form("#mock-form", { async: true, transformData, onProgress: jest.fn(), onError });
+    form.dispatchEvent(new Event("submit"));
+    Gnex.cancel(form);
+    await new Promise(process.nextTick);
+    expect(onError).toHaveBeenCalledWith("aborted", form, expect.objectContaining({ name: "AbortError" }));
   });
 });
 
@@ -247,12 +387,61 @@ describe("Retry", () => {
         json: () => Promise.resolve({ status: "success" }),
       });
     const onSuccess = jest.fn();
-    Gnex.form("#mock-form", { async: true, retryCount: 2, onSuccess });
+    const onRetry = jest.fn();
+    Gnex.form("#mock-form", { async: true, retryCount: 2, retry: { methods: ["POST"], delay: 0 }, onRetry, onSuccess });
     await form.dispatchEvent(new Event("submit"));
-    await new Promise(process.nextTick); // Aguarda o fetch
+    await new Promise(resolve => setTimeout(resolve, 20)); // Aguarda os retries
     expect(fetch).toHaveBeenCalledTimes(3);
+    expect(onRetry).toHaveBeenCalledWith(form, expect.objectContaining({ attempt: 2, attempts: 2, status: null }));
     expect(onSuccess).toHaveBeenCalledWith("json", form, { status: "success" });
   });
+
+  test("não deve repetir POST por padrão nem erros 4xx", async () => {
+    const form = createMockForm();
+    document.body.appendChild(form);
+    fetch.mockRejectedValue(new Error("Fail"));
+    const onError = jest.fn();
+    Gnex.form("#mock-form", { async: true, retryCount: 2, onError });
+    form.dispatchEvent(new Event("submit"));
+    await new Promise(process.nextTick);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(onError).toHaveBeenCalledWith("request", form, "Fail");
+
+    fetch.mockClear();
+    fetch.mockResolvedValue({ ok: false, status: 404, headers: new Headers() });
+    Gnex.load("/missing", { retry: { attempts: 3, delay: 0 }, onError });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("deve usar backoff exponencial e respeitar Retry-After no load()", async () => {
+    jest.useFakeTimers();
+    const randomSpy = jest.spyOn(Math, "random").mockReturnValue(1);
+    fetch
+      .mockResolvedValueOnce({ ok: false, status: 503, headers: new Headers() })
+      .mockResolvedValueOnce({ ok: false, status: 429, headers: new Headers({ "Retry-After": "2" }) })
+      .mockResolvedValue({
+        ok: true,
+        headers: new Headers({ "Content-Type": "application/json" }),
+        json: () => Promise.resolve({ ok: true }),
+      });
+    const onRetry = jest.fn();
+    const onSuccess = jest.fn();
+    Gnex.load("/flaky", { retry: { attempts: 3, delay: 100 }, onRetry, onSuccess });
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(onRetry).toHaveBeenLastCalledWith(null, expect.objectContaining({ attempt: 1, delay: 100, status: 503 }));
+    await jest.advanceTimersByTimeAsync(100);
+    expect(onRetry).toHaveBeenLastCalledWith(null, expect.objectContaining({ attempt: 2, delay: 2000, status: 429 }));
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(onSuccess).toHaveBeenCalledWith("json", null, { ok: true });
+
+    randomSpy.mockRestore();
+    jest.useRealTimers();
+  });
 });
 
 describe("Gnex.load", () => {
@@ -269,4 +458,1621 @@ describe("Gnex.load", () => {
     expect(onSuccess).toHaveBeenCalledWith("json", null, { loaded: true });
     load.cancel();
   });
-});
\ No newline at end of file
+});
+describe("API declarativa", () => {
+  test("deve converter atributos data-gnex-* na configuração", () => {
+    window.meuSucesso = jest.fn();
+    document.body.innerHTML = `
+      <form data-gnex data-gnex-async="true" data-gnex-timeout="5000" data-gnex-cache="false"
+            data-gnex-headers='{"X-Test":"1"}' data-gnex-on-success="meuSucesso"></form>`;
+    const form = document.querySelector("form");
+    expect(Gnex.bind()).toBe(1);
+    const config = Gnex._formConfigs.get(form);
+    expect(config.async).toBe(true);
+    expect(config.timeout).toBe(5000);
+    expect(config.cache).toBe(false);
+    expect(config.headers).toEqual({ "X-Test": "1" });
+    expect(config.onSuccess).toBe(window.meuSucesso);
+    expect(Gnex.bind()).toBe(0); // Não vincula duas vezes
+    delete window.meuSucesso;
+  });
+
+  test("deve carregar links via load() ao clicar", async () => {
+    fetch.mockResolvedValue({
+      ok: true,
+      headers: new Headers({ "Content-Type": "application/json" }),
+      json: () => Promise.resolve({ loaded: true }),
+    });
+    const onSuccess = jest.fn();
+    document.body.innerHTML = '<a href="/page" data-gnex>Link</a>';
+    Gnex.bind(document, { onSuccess });
+    document.querySelector("a").click();
+    await new Promise(process.nextTick);
+    expect(fetch).toHaveBeenCalledWith("http://localhost/page", expect.any(Object));
+    expect(onSuccess).toHaveBeenCalledWith("json", null, { loaded: true });
+  });
+
+  test("deve vincular e desvincular elementos inseridos e removidos com observe()", async () => {
+    const observer = Gnex.observe(document.body);
+    const form = createMockForm();
+    form.setAttribute("data-gnex", "");
+    document.body.appendChild(form);
+    await Promise.resolve(); // Aguarda o MutationObserver
+    expect(Gnex._formConfigs.has(form)).toBe(true);
+
+    form.remove();
+    await Promise.resolve();
+    expect(Gnex._formConfigs.has(form)).toBe(false);
+    expect(Gnex._boundListeners.has(form)).toBe(false);
+    observer.disconnect();
+    expect(Gnex._observers.size).toBe(0);
+  });
+});
+
+describe("Swap de conteúdo", () => {
+  function mockHtmlResponse(html, partial = true) {
+    fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      headers: new Headers({ "Content-Type": "text/html", "X-Partial-View": partial ? "true" : "false" }),
+      text: () => Promise.resolve(html),
+    });
+  }
+
+  test("deve inserir a resposta x-html no target com innerHTML", async () => {
+    const form = createMockForm();
+    document.body.appendChild(form);
+    document.body.insertAdjacentHTML("beforeend", '<div id="result"><p>antigo</p></div>');
+    mockHtmlResponse("<p>novo</p>");
+    const onSuccess = jest.fn();
+    Gnex.form("#mock-form", { async: true, target: "#result", onSuccess });
+    form.dispatchEvent(new Event("submit"));
+    await new Promise(process.nextTick);
+    expect(document.querySelector("#result").innerHTML).toBe("<p>novo</p>");
+    expect(onSuccess).toHaveBeenCalledWith("x-html", form, "<p>novo</p>");
+  });
+
+  test("deve aplicar estratégias outerHTML e beforeend", async () => {
+    document.body.innerHTML = '<ul id="list"><li>1</li></ul><div id="box">x</div>';
+    mockHtmlResponse("<li>2</li>");
+    Gnex.load("/items", { target: "#list", swap: "beforeend" });
+    await new Promise(process.nextTick);
+    expect(document.querySelectorAll("#list li")).toHaveLength(2);
+
+    mockHtmlResponse('<section id="box">y</section>');
+    Gnex.load("/box", { target: "#box", swap: "outerHTML" });
+    await new Promise(process.nextTick);
+    expect(document.querySelector("#box").tagName).toBe("SECTION");
+  });
+
+  test("deve substituir fragmentos out-of-band pelo id", async () => {
+    document.body.innerHTML = '<div id="main"></div><span id="count">0</span><ul id="log"><li>a</li></ul>';
+    mockHtmlResponse('<p>conteúdo</p><span id="count" data-gnex-oob>3</span><ul id="log" data-gnex-oob="beforeend"><li>b</li></ul>');
+    Gnex.load("/oob", { target: "#main" });
+    await new Promise(process.nextTick);
+    expect(document.querySelector("#main").innerHTML).toBe("<p>conteúdo</p>");
+    expect(document.querySelector("#count").textContent).toBe("3");
+    expect(document.querySelector("#count").hasAttribute("data-gnex-oob")).toBe(false);
+    expect(document.querySelectorAll("#log li")).toHaveLength(2);
+  });
+});
+
+describe("Erros de validação do servidor", () => {
+  function mockValidationResponse(body, contentType = "application/problem+json") {
+    fetch.mockResolvedValue({
+      ok: false,
+      status: 422,
+      headers: new Headers({ "Content-Type": contentType }),
+      json: () => Promise.resolve(body),
+    });
+  }
+
+  test("deve mapear erros problem+json nos campos e chamar onError com 'validation'", async () => {
+    const form = createMockForm();
+    form.innerHTML = `
+      <input name="email"><span data-gnex-error-for="email"></span>
+      <input name="user[name]">
+      <div class="summary"></div>`;
+    document.body.appendChild(form);
+    mockValidationResponse({
+      title: "Invalid data",
+      status: 422,
+      errors: { Email: ["Email inválido"], "user.name": "Obrigatório", other: ["Erro geral"] },
+    });
+    const onError = jest.fn();
+    Gnex.form("#mock-form", { async: true, errorSummary: ".summary", onError });
+    form.dispatchEvent(new Event("submit"));
+    await new Promise(process.nextTick);
+
+    const email = form.querySelector('[name="email"]');
+    expect(onError).toHaveBeenCalledWith("validation", form, expect.objectContaining({
+      status: 422,
+      title: "Invalid data",
+      errors: { Email: ["Email inválido"], "user.name": ["Obrigatório"], other: ["Erro geral"] },
+    }));
+    expect(email.getAttribute("aria-invalid")).toBe("true");
+    expect(email.validationMessage).toBe("Email inválido");
+    expect(form.querySelector('[name="user[name]"]').getAttribute("aria-invalid")).toBe("true");
+    expect(form.querySelector("[data-gnex-error-for]").textContent).toBe("Email inválido");
+    expect(form.querySelector(".summary").textContent).toBe("Erro geral");
+  });
+
+  test("deve limpar os erros na próxima submissão", async () => {
+    const form = createMockForm();
+    form.innerHTML = '<input name="email"><span data-gnex-error-for="email"></span>';
+    document.body.appendChild(form);
+    mockValidationResponse({ errors: [{ field: "email", message: "Já cadastrado" }] }, "application/json");
+    Gnex.form("#mock-form", { async: true });
+    form.dispatchEvent(new Event("submit"));
+    await new Promise(process.nextTick);
+    expect(form.querySelector("input").getAttribute("aria-invalid")).toBe("true");
+
+    fetch.mockImplementation(() => new Promise(() => {}));
+    form.dispatchEvent(new Event("submit"));
+    expect(form.querySelector("input").hasAttribute("aria-invalid")).toBe(false);
+    expect(form.querySelector("input").validationMessage).toBe("");
+    expect(form.querySelector("[data-gnex-error-for]").textContent).toBe("");
+  });
+
+  test("deve manter o erro 'request' para respostas sem payload de validação", async () => {
+    const form = createMockForm();
+    document.body.appendChild(form);
+    fetch.mockResolvedValue({ ok: false, status: 500, headers: new Headers({ "Content-Type": "text/html" }) });
+    const onError = jest.fn();
+    Gnex.form("#mock-form", { async: true, onError });
+    form.dispatchEvent(new Event("submit"));
+    await new Promise(process.nextTick);
+    expect(onError).toHaveBeenCalledWith("request", form, "HTTP 500");
+  });
+});
+
+describe("Interceptors", () => {
+  afterEach(() => {
+    Gnex.interceptors.request.clear();
+    Gnex.interceptors.response.clear();
+    Gnex.interceptors.error.clear();
+  });
+
+  test("deve aplicar interceptors de request em ordem, inclusive async, no form() e no load()", async () => {
+    const form = createMockForm();
+    document.body.appendChild(form);
+    fetch.mockResolvedValue(jsonResponse({}));
+    const calls = [];
+    Gnex.interceptors.request.use(async (request) => {
+      calls.push("auth");
+      request.options.headers.Authorization = "Bearer token";
+    });
+    Gnex.interceptors.request.use((request) => {
+      calls.push("trace");
+      return { ...request, options: { ...request.options, headers: { ...request.options.headers, "X-Trace": "1" } } };
+    }, { order: -1 });
+
+    Gnex.form("#mock-form", { async: true, headers: { "X-Form": "1" } });
+    form.dispatchEvent(new Event("submit"));
+    await new Promise(process.nextTick);
+    expect(calls).toEqual(["trace", "auth"]);
+    expect(fetch.mock.calls[0][1].headers).toEqual({ "X-Form": "1", "X-Trace": "1", Authorization: "Bearer token" });
+    expect(Gnex.defaults.headers).toEqual({});
+
+    Gnex.load("/test");
+    await new Promise(process.nextTick);
+    expect(fetch.mock.calls[1][1].headers).toEqual({ "X-Trace": "1", Authorization: "Bearer token" });
+  });
+
+  test("deve permitir desembrulhar respostas e remover interceptors com eject", async () => {
+    fetch.mockResolvedValue(jsonResponse({ data: { id: 1 } }));
+    const onSuccess = jest.fn();
+    const id = Gnex.interceptors.response.use((result) => ({ ...result, data: result.data.data }));
+    Gnex.load("/test", { onSuccess });
+    await new Promise(process.nextTick);
+    expect(onSuccess).toHaveBeenCalledWith("json", null, { id: 1 });
+
+    expect(Gnex.interceptors.response.eject(id)).toBe(true);
+    Gnex.load("/test", { onSuccess });
+    await new Promise(process.nextTick);
+    expect(onSuccess).toHaveBeenLastCalledWith("json", null, { data: { id: 1 } });
+  });
+
+  test("deve cancelar o request ou suprimir o erro quando o interceptor retorna false", async () => {
+    const form = createMockForm();
+    document.body.appendChild(form);
+    fetch.mockRejectedValue(new Error("Network error"));
+    const onError = jest.fn();
+    const errorInterceptor = jest.fn().mockReturnValue(false);
+    Gnex.interceptors.error.use(errorInterceptor);
+    Gnex.form("#mock-form", { async: true, onError });
+    form.dispatchEvent(new Event("submit"));
+    await new Promise(process.nextTick);
+    expect(errorInterceptor).toHaveBeenCalledWith(expect.objectContaining({ type: "request", details: "Network error", context: form }));
+    expect(onError).not.toHaveBeenCalled();
+
+    Gnex.interceptors.request.use(() => false);
+    Gnex.load("/test");
+    await new Promise(process.nextTick);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("Parser SSE", () => {
+  const originalTextDecoder = global.TextDecoder;
+  beforeEach(() => {
+    global.TextDecoder = require("util").TextDecoder;
+  });
+  afterEach(() => {
+    global.TextDecoder = originalTextDecoder;
+  });
+
+  function mockSseResponse(chunks) {
+    fetch.mockResolvedValue({
+      ok: true,
+      headers: new Headers({ "Content-Type": "text/event-stream" }),
+      body: new ReadableStream({
+        start(controller) {
+          chunks.forEach(chunk => controller.enqueue(typeof chunk === "string" ? new Uint8Array(Buffer.from(chunk)) : chunk));
+          controller.close();
+        },
+      }),
+    });
+  }
+
+  test("deve seguir o formato do EventSource: CRLF, comentários, id, retry e multi-linhas", async () => {
+    mockSseResponse([
+      ": comentário\r\nid: 1\r\nretry: 3000\r\nevent: update\r\ndata: linha 1\r",
+      "\ndata:linha 2\r\n\r\n",
+      "data: sem nome\n\n",
+    ]);
+    const onEvent = jest.fn();
+    Gnex.load("/stream", { sse: true, onEvent });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(onEvent).toHaveBeenCalledTimes(2);
+    expect(onEvent).toHaveBeenNthCalledWith(1, "update", "linha 1\nlinha 2", { id: "1", retry: 3000, context: null });
+    expect(onEvent).toHaveBeenNthCalledWith(2, "message", "sem nome", { id: "1", retry: 3000, context: null });
+  });
+
+  test("deve decodificar UTF-8 dividido entre chunks", async () => {
+    const bytes = new Uint8Array(Buffer.from("data: ação\n\n"));
+    mockSseResponse([bytes.slice(0, 8), bytes.slice(8)]);
+    const onEvent = jest.fn();
+    Gnex.load("/stream", { sse: true, onEvent });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(onEvent).toHaveBeenCalledWith("message", "ação", expect.any(Object));
+  });
+
+  test("deve rotear eventos pelo mapa events e mapear 'error' para onError", async () => {
+    const form = createMockForm();
+    document.body.appendChild(form);
+    mockSseResponse(['event: chat\ndata: oi\n\nevent: error\ndata: {"code":"quota"}\n\n']);
+    const chat = jest.fn();
+    const onError = jest.fn();
+    Gnex.form("#mock-form", { async: true, sse: true, events: { chat }, onError });
+    form.dispatchEvent(new Event("submit"));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(chat).toHaveBeenCalledWith("oi", { id: "", retry: null, context: form });
+    expect(onError).toHaveBeenCalledWith("sse-error", form, { code: "quota" });
+  });
+});
+
+describe("Gnex.stream", () => {
+  function sseResponse(text, status = 200) {
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      headers: new Headers({ "Content-Type": "text/event-stream" }),
+      body: new ReadableStream({
+        start(controller) {
+          controller.enqueue(new TextEncoder().encode(text));
+          controller.close();
+        },
+      }),
+    };
+  }
+
+  test("deve reconectar com o intervalo retry: e o header Last-Event-ID", async () => {
+    fetch
+      .mockResolvedValueOnce(sseResponse("retry: 10\nid: 7\ndata: primeiro\n\n"))
+      .mockResolvedValueOnce(sseResponse("data: segundo\n\n"))
+      .mockImplementation(() => new Promise(() => {}));
+    const onEvent = jest.fn();
+    const states = [];
+    const stream = Gnex.stream("/events", {
+      method: "POST",
+      headers: { Authorization: "Bearer x" },
+      body: { room: 1 },
+      onEvent,
+      onStateChange: (state) => states.push(state),
+    });
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(fetch.mock.calls[0][1]).toEqual(expect.objectContaining({ method: "POST", body: '{"room":1}' }));
+    expect(fetch.mock.calls[0][1].headers).toEqual({
+      Accept: "text/event-stream",
+      Authorization: "Bearer x",
+      "Content-Type": "application/json",
+    });
+    expect(fetch.mock.calls[1][1].headers["Last-Event-ID"]).toBe("7");
+    expect(onEvent).toHaveBeenCalledWith("message", "segundo", expect.objectContaining({ id: "7" }));
+    expect(stream.lastEventId).toBe("7");
+
+    stream.close();
+    expect(stream.state).toBe("closed");
+    expect(states).toEqual(["connecting", "open", "reconnecting", "open", "reconnecting", "closed"]);
+  });
+
+  test("deve fechar sem reconectar em erros HTTP 4xx", async () => {
+    fetch.mockResolvedValue({ ok: false, status: 401, headers: new Headers() });
+    const onError = jest.fn();
+    const closed = jest.fn();
+    const stream = Gnex.stream("/events", { reconnectDelay: 5, onError });
+    stream.addEventListener("closed", closed);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(onError).toHaveBeenCalledWith("stream", null, expect.objectContaining({ message: "HTTP 401" }));
+    expect(closed).toHaveBeenCalled();
+    expect(stream.state).toBe("closed");
+  });
+
+  test("deve desistir após maxReconnects falhas consecutivas", async () => {
+    fetch.mockRejectedValue(new TypeError("Failed to fetch"));
+    const onError = jest.fn();
+    const stream = Gnex.stream("/events", { reconnectDelay: 1, maxReconnects: 2, onError });
+    await new Promise(resolve => setTimeout(resolve, 40));
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(onError).toHaveBeenCalledTimes(3);
+    expect(stream.state).toBe("closed");
+  });
+});
+
+describe("API de Promises", () => {
+  test("load() deve poder ser aguardado e combinado com Promise.all", async () => {
+    fetch.mockImplementation((url) => Promise.resolve({
+      ok: true,
+      headers: new Headers({ "Content-Type": "application/json" }),
+      json: () => Promise.resolve({ url }),
+    }));
+    const [a, b] = await Promise.all([Gnex.load("/a"), Gnex.load("/b")]);
+    expect(a).toEqual({ type: "json", data: { url: "/a" }, response: expect.any(Object), cached: false });
+    expect(b.data).toEqual({ url: "/b" });
+  });
+
+  test("load() deve rejeitar com GnexError tipado", async () => {
+    fetch.mockResolvedValueOnce({ ok: false, status: 500, headers: new Headers() });
+    await expect(Gnex.load("/fail")).rejects.toMatchObject({ name: "GnexError", kind: "http", status: 500 });
+
+    fetch.mockRejectedValueOnce(new TypeError("Failed to fetch"));
+    await expect(Gnex.load("/offline")).rejects.toMatchObject({ kind: "network" });
+
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      headers: new Headers({ "Content-Type": "application/json" }),
+      json: () => Promise.reject(new SyntaxError("Unexpected token")),
+    });
+    await expect(Gnex.load("/broken")).rejects.toBeInstanceOf(Gnex.GnexError);
+
+    fetch.mockImplementation((url, options) => new Promise((resolve, reject) => {
+      if (options.signal.aborted) reject(options.signal.reason);
+      options.signal.addEventListener("abort", () => reject(options.signal.reason));
+    }));
+    const onError = jest.fn();
+    await expect(Gnex.load("/slow", { timeout: 10, onError })).rejects.toMatchObject({ kind: "timeout" });
+    expect(onError).toHaveBeenCalledWith("timeout", null, expect.objectContaining({ name: "TimeoutError" }));
+
+    const handle = Gnex.load("/slow");
+    handle.cancel();
+    await expect(handle).rejects.toMatchObject({ kind: "aborted" });
+  });
+
+  test("Gnex.submit() deve usar o mesmo pipeline do submit do usuário", async () => {
+    const form = createMockForm();
+    document.body.appendChild(form);
+    fetch.mockResolvedValue({
+      ok: true,
+      headers: new Headers({ "Content-Type": "application/json" }),
+      json: () => Promise.resolve({ saved: true }),
+    });
+    const onSuccess = jest.fn();
+    const beforeSend = jest.fn();
+    Gnex.form("#mock-form", { async: true, onSuccess, beforeSend });
+    const result = await Gnex.submit(form, { headers: { "X-Override": "1" } });
+    expect(result.data).toEqual({ saved: true });
+    expect(beforeSend).toHaveBeenCalledWith(form, expect.any(FormData), expect.any(Object));
+    expect(fetch.mock.calls[0][1].headers).toEqual({ "X-Override": "1" });
+    expect(onSuccess).toHaveBeenCalledWith("json", form, { saved: true });
+
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 422,
+      headers: new Headers({ "Content-Type": "application/json" }),
+      json: () => Promise.resolve({ errors: { test: ["Inválido"] } }),
+    });
+    await expect(Gnex.submit(form)).rejects.toMatchObject({ kind: "http", status: 422, details: expect.objectContaining({ errors: { test: ["Inválido"] } }) });
+  });
+});
+
+describe("Serialização do corpo", () => {
+  function createComplexForm() {
+    const form = createMockForm();
+    form.innerHTML = `
+      <input name="user[name]" value="Ana">
+      <input name="user[address][city]" value="Recife">
+      <input name="user[age]" value="30" data-gnex-type="number">
+      <input type="checkbox" name="newsletter" data-gnex-type="boolean">
+      <input type="checkbox" name="roles" value="admin" checked>
+      <input type="checkbox" name="roles" value="editor">
+      <select name="colors" multiple><option selected>red</option><option>blue</option></select>
+      <input name="tags[]" value="a"><input name="tags[]" value="b">
+      <input name="items[0][sku]" value="X1"><input name="items[1][sku]" value="X2">`;
+    document.body.appendChild(form);
+    return form;
+  }
+
+  beforeEach(() => {
+    fetch.mockResolvedValue({
+      ok: true,
+      headers: new Headers({ "Content-Type": "application/json" }),
+      json: () => Promise.resolve({}),
+    });
+  });
+
+  test("serialize() deve montar objetos e arrays aninhados com tipos", () => {
+    expect(Gnex.serialize(createComplexForm())).toEqual({
+      user: { name: "Ana", address: { city: "Recife" }, age: 30 },
+      newsletter: false,
+      roles: ["admin"],
+      colors: ["red"],
+      tags: ["a", "b"],
+      items: [{ sku: "X1" }, { sku: "X2" }],
+    });
+  });
+
+  test("deve enviar JSON com Content-Type quando encoding é json", async () => {
+    const form = createComplexForm();
+    Gnex.form("#mock-form", { async: true, encoding: "json" });
+    form.dispatchEvent(new Event("submit"));
+    await new Promise(process.nextTick);
+    const options = fetch.mock.calls[0][1];
+    expect(options.headers["Content-Type"]).toBe("application/json");
+    expect(JSON.parse(options.body).user.address.city).toBe("Recife");
+  });
+
+  test("deve enviar urlencoded e aceitar body no load()", async () => {
+    await Gnex.load("/api", { method: "POST", encoding: "urlencoded", body: { q: "gnex", filter: { tags: ["a", "b"] } } });
+    const options = fetch.mock.calls[0][1];
+    expect(options.headers["Content-Type"]).toBe("application/x-www-form-urlencoded;charset=UTF-8");
+    expect(options.body.toString()).toBe("q=gnex&filter%5Btags%5D%5B%5D=a&filter%5Btags%5D%5B%5D=b");
+
+    await Gnex.load("/api", { method: "POST", encoding: "json", body: { q: "gnex" }, headers: { "content-type": "application/vnd.api+json" } });
+    expect(fetch.mock.calls[1][1].headers).toEqual({ "content-type": "application/vnd.api+json" });
+    expect(fetch.mock.calls[1][1].body).toBe('{"q":"gnex"}');
+  });
+});
+
+describe("Formulários GET", () => {
+  beforeEach(() => {
+    fetch.mockResolvedValue({
+      ok: true,
+      headers: new Headers({ "Content-Type": "application/json" }),
+      json: () => Promise.resolve({}),
+    });
+  });
+
+  test("deve enviar os campos na query string mesclando parâmetros existentes", async () => {
+    const form = createMockForm("/search?page=2&q=old", "GET");
+    form.innerHTML = '<input name="q" value="gnex"><input name="tags[]" value="a">';
+    document.body.appendChild(form);
+    Gnex.form("#mock-form", { async: true });
+    form.dispatchEvent(new Event("submit"));
+    await new Promise(process.nextTick);
+    const [url, options] = fetch.mock.calls[0];
+    expect(url).toBe("http://localhost/search?page=2&q=gnex&tags%5B%5D=a");
+    expect(options.method).toBe("GET");
+    expect(options.body).toBeUndefined();
+  });
+
+  test("load() deve aceitar params e pushState deve atualizar o histórico", async () => {
+    await Gnex.load("/items?sort=asc", { params: { page: 3, filter: { status: "open" } }, pushState: true });
+    expect(fetch.mock.calls[0][0]).toBe("/items?sort=asc&page=3&filter%5Bstatus%5D=open");
+    expect(window.location.pathname + window.location.search).toBe("/items?sort=asc&page=3&filter%5Bstatus%5D=open");
+    history.replaceState(null, "", "/");
+  });
+});
+
+describe("Navegação e histórico", () => {
+  const htmlResponse = (body, headers = {}) => ({
+    ok: true,
+    status: 200,
+    headers: new Headers({ "Content-Type": "text/html", ...headers }),
+    text: () => Promise.resolve(body),
+  });
+
+  beforeEach(() => {
+    history.replaceState(null, "", "/");
+    Gnex._history.snapshots.clear();
+    Gnex._history.state = null;
+  });
+
+  test("deve criar uma entrada no histórico e restaurar o conteúdo no popstate", async () => {
+    document.body.innerHTML = '<main id="app">Início</main>';
+    fetch.mockResolvedValueOnce(htmlResponse("<p>Página 2</p>"));
+    await Gnex.navigate("/page-2", { target: "#app" });
+    expect(document.querySelector("#app").innerHTML).toBe("<p>Página 2</p>");
+    expect(window.location.pathname).toBe("/page-2");
+
+    const previousState = Gnex._history.snapshots.keys().next().value;
+    window.dispatchEvent(new PopStateEvent("popstate", { state: { gnex: true, id: previousState, target: "#app" } }));
+    expect(document.querySelector("#app").innerHTML).toBe("Início");
+  });
+
+  test("deve seguir o cabeçalho X-Gnex-Redirect sem recarregar a página", async () => {
+    document.body.innerHTML = '<main id="app"></main>';
+    const form = createMockForm("/login", "POST");
+    document.body.appendChild(form);
+    fetch
+      .mockResolvedValueOnce(htmlResponse("", { "X-Gnex-Redirect": "/dashboard" }))
+      .mockResolvedValueOnce(htmlResponse("<h1>Painel</h1>"));
+    const onSuccess = jest.fn();
+    await Gnex.submit(form, { navigate: true, target: "#app", onSuccess });
+    expect(fetch.mock.calls[1][0]).toBe("http://localhost/dashboard");
+    expect(fetch.mock.calls[1][1].method).toBe("GET");
+    expect(fetch.mock.calls[1][1].body).toBeUndefined();
+    expect(document.querySelector("#app").innerHTML).toBe("<h1>Painel</h1>");
+    expect(window.location.pathname).toBe("/dashboard");
+    expect(onSuccess).toHaveBeenCalledTimes(1);
+  });
+
+  test("interceptLinks deve carregar links a[data-gnex] e ignorar cliques modificados", async () => {
+    document.body.innerHTML = '<main id="app"></main><a href="/about" data-gnex data-gnex-target="#app">Sobre</a>';
+    fetch.mockResolvedValue(htmlResponse("<p>Sobre</p>"));
+    const interceptor = Gnex.interceptLinks(document);
+    const link = document.querySelector("a");
+
+    link.dispatchEvent(new MouseEvent("click", { bubbles: true, cancelable: true, ctrlKey: true }));
+    expect(fetch).not.toHaveBeenCalled();
+
+    link.dispatchEvent(new MouseEvent("click", { bubbles: true, cancelable: true }));
+    await new Promise(process.nextTick);
+    expect(fetch.mock.calls[0][0]).toBe("http://localhost/about");
+    expect(document.querySelector("#app").innerHTML).toBe("<p>Sobre</p>");
+    interceptor.disconnect();
+  });
+});
+
+describe("Concorrência", () => {
+  const deferredFetch = () => {
+    const pending = [];
+    fetch.mockImplementation((url, options) => new Promise((resolve, reject) => {
+      pending.push((data) => resolve({
+        ok: true,
+        headers: new Headers({ "Content-Type": "application/json" }),
+        json: () => Promise.resolve(data),
+      }));
+      options.signal.addEventListener("abort", () => reject(options.signal.reason));
+    }));
+    return pending;
+  };
+
+  test("replace deve abortar a submissão em andamento sem chamar onError", async () => {
+    const pending = deferredFetch();
+    const form = createMockForm("/search", "POST");
+    document.body.appendChild(form);
+    const onSuccess = jest.fn();
+    const onError = jest.fn();
+    Gnex.form("#mock-form", { async: true, concurrency: "replace", onSuccess, onError });
+
+    form.dispatchEvent(new Event("submit"));
+    await new Promise(process.nextTick);
+    const firstSignal = fetch.mock.calls[0][1].signal;
+    form.dispatchEvent(new Event("submit"));
+    await new Promise(process.nextTick);
+    expect(firstSignal.aborted).toBe(true);
+    pending[1]({ page: 2 });
+    await new Promise(process.nextTick);
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(onSuccess).toHaveBeenCalledTimes(1);
+    expect(onSuccess).toHaveBeenCalledWith("json", form, { page: 2 });
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  test("queue deve enviar as submissões em ordem, uma de cada vez", async () => {
+    const pending = deferredFetch();
+    const form = createMockForm("/items", "POST");
+    document.body.appendChild(form);
+    const first = Gnex.submit(form, { concurrency: "queue" });
+    const second = Gnex.submit(form, { concurrency: "queue" });
+    await new Promise(process.nextTick);
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    pending[0]({ order: 1 });
+    await expect(first).resolves.toMatchObject({ data: { order: 1 } });
+    await new Promise(process.nextTick);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    pending[1]({ order: 2 });
+    await expect(second).resolves.toMatchObject({ data: { order: 2 } });
+  });
+
+  test("debounce deve enviar apenas a última chamada com a mesma concurrencyKey", async () => {
+    jest.useFakeTimers();
+    try {
+      const pending = deferredFetch();
+      const first = Gnex.load("/search?q=g", { concurrencyKey: "search", concurrency: { debounce: 200 } });
+      const second = Gnex.load("/search?q=gn", { concurrencyKey: "search", concurrency: "debounce:200" });
+      await expect(first).rejects.toMatchObject({ kind: "cancelled" });
+
+      await jest.advanceTimersByTimeAsync(200);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(fetch.mock.calls[0][0]).toBe("/search?q=gn");
+      pending[0]({ results: [] });
+      await expect(second).resolves.toMatchObject({ data: { results: [] } });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test("deve deduplicar chamadas load() idênticas em andamento", async () => {
+    const pending = deferredFetch();
+    const first = Gnex.load("/profile");
+    const second = Gnex.load("http://localhost/profile");
+    const third = Gnex.load("/profile", { dedupe: false });
+    await new Promise(process.nextTick);
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    second.cancel();
+    await expect(second).rejects.toMatchObject({ kind: "aborted" });
+    expect(fetch.mock.calls[0][1].signal.aborted).toBe(false);
+
+    pending[0]({ name: "Gnex" });
+    pending[1]({ name: "Gnex" });
+    await expect(first).resolves.toMatchObject({ data: { name: "Gnex" } });
+    await expect(third).resolves.toMatchObject({ data: { name: "Gnex" } });
+    expect(Gnex._inflightLoads.size).toBe(0);
+  });
+
+  test("não deve deduplicar chamadas com cabeçalhos ou credenciais diferentes", async () => {
+    fetch.mockResolvedValue(jsonResponse());
+
+    await Promise.all([
+      Gnex.load("/me", { headers: { Authorization: "A" } }),
+      Gnex.load("/me", { headers: { authorization: "A" } }),
+      Gnex.load("/me", { headers: { Authorization: "B" } }),
+      Gnex.load("/me", { headers: { Authorization: "A" }, credentials: "include" }),
+    ]);
+
+    expect(fetch.mock.calls.map(([, options]) => [options.headers.Authorization || options.headers.authorization, options.credentials]))
+      .toEqual([["A", undefined], ["B", undefined], ["A", "include"]]);
+  });
+
+  test("chamadas deduplicadas devem aplicar o próprio target e callbacks", async () => {
+    document.body.innerHTML = '<div id="a"></div><div id="b"></div>';
+    fetch.mockResolvedValueOnce({ ok: true, status: 200, headers: new Headers({ "Content-Type": "text/html" }), text: () => Promise.resolve("<p>widget</p>") });
+    const firstSuccess = jest.fn();
+    const secondSuccess = jest.fn();
+
+    await Promise.all([
+      Gnex.load("/widget", { target: "#a", onSuccess: firstSuccess }),
+      Gnex.load("/widget", { target: "#b", swap: "beforeend", onSuccess: secondSuccess }),
+    ]);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(document.querySelector("#a").innerHTML).toBe("<p>widget</p>");
+    expect(document.querySelector("#b").innerHTML).toBe("<p>widget</p>");
+    expect(firstSuccess).toHaveBeenCalledTimes(1);
+    expect(secondSuccess).toHaveBeenCalledWith("full-html", null, "<p>widget</p>");
+
+    fetch.mockRejectedValueOnce(new TypeError("Failed to fetch"));
+    const secondError = jest.fn();
+    const failed = [Gnex.load("/down", { onError: () => {} }), Gnex.load("/down", { onError: secondError })];
+    await Promise.allSettled(failed);
+    expect(secondError).toHaveBeenCalledWith("request", null, expect.any(TypeError));
+  });
+});
+
+describe("Fila offline", () => {
+  beforeEach(async () => {
+    await Gnex.queue.clear();
+  });
+
+  test("deve enfileirar submissões que falham por rede e reenviá-las ao reconectar", async () => {
+    const form = createMockForm("/upload", "POST");
+    document.body.appendChild(form);
+    const onQueued = jest.fn();
+    const onError = jest.fn();
+    const onReplayed = jest.fn();
+    fetch.mockRejectedValueOnce(new TypeError("Failed to fetch"));
+
+    const result = await Gnex.submit(form, {
+      offline: true,
+      onQueued,
+      onError,
+      onReplayed,
+      transformData: (formData) => {
+        formData.append("avatar", new File(["img"], "avatar.png", { type: "image/png" }));
+        return formData;
+      },
+    });
+    expect(result.type).toBe("queued");
+    expect(onQueued).toHaveBeenCalledWith(form, result.data);
+    expect(onError).not.toHaveBeenCalled();
+
+    const [item] = await Gnex.queue.list();
+    expect(item.body.entries[1]).toMatchObject({ name: "avatar", fileName: "avatar.png" });
+    expect(item.body.entries[1].blob).toBeInstanceOf(Blob);
+
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      headers: new Headers({ "Content-Type": "application/json" }),
+      json: () => Promise.resolve({ saved: true }),
+    });
+    window.dispatchEvent(new Event("online"));
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const replayedBody = fetch.mock.calls[1][1].body;
+    expect(replayedBody.get("test")).toBe("value");
+    expect(replayedBody.get("avatar").name).toBe("avatar.png");
+    expect(onReplayed).toHaveBeenCalledWith(form, expect.objectContaining({ id: item.id }), expect.objectContaining({ data: { saved: true } }), null);
+    expect(await Gnex.queue.list()).toHaveLength(0);
+  });
+
+  test("deve enfileirar sem requisição quando offline e manter a ordem de envio", async () => {
+    const onLine = jest.spyOn(navigator, "onLine", "get").mockReturnValue(false);
+    try {
+      await Gnex.load("/notes", { method: "POST", body: { text: "a" }, encoding: "json", offline: true });
+      await Gnex.load("/notes", { method: "POST", body: { text: "b" }, encoding: "json", offline: true });
+    } finally {
+      onLine.mockRestore();
+    }
+    expect(fetch).not.toHaveBeenCalled();
+
+    fetch.mockResolvedValue({ ok: true, headers: new Headers({ "Content-Type": "application/json" }), json: () => Promise.resolve({}) });
+    expect(await Gnex.queue.replay()).toBe(2);
+    expect(fetch.mock.calls.map(([, options]) => options.body)).toEqual(['{"text":"a"}', '{"text":"b"}']);
+  });
+
+  test("deve marcar itens rejeitados pelo servidor como falhos e permitir retry e discard", async () => {
+    const onLine = jest.spyOn(navigator, "onLine", "get").mockReturnValue(false);
+    await Gnex.load("/notes", { method: "POST", body: "x", offline: true });
+    onLine.mockRestore();
+
+    fetch.mockResolvedValueOnce({ ok: false, status: 500, statusText: "Error", headers: new Headers() });
+    expect(await Gnex.queue.replay()).toBe(0);
+    const [failed] = await Gnex.queue.list();
+    expect(failed).toMatchObject({ status: "failed", attempts: 1, lastError: { kind: "http", status: 500 } });
+
+    fetch.mockResolvedValueOnce({ ok: false, status: 500, statusText: "Error", headers: new Headers() });
+    expect(await Gnex.queue.retry(failed.id)).toBe(0);
+    await Gnex.queue.discard(failed.id);
+    expect(await Gnex.queue.list()).toHaveLength(0);
+  });
+  test("não deve abrir o armazenamento da fila sem o modo offline", async () => {
+    let FreshGnex;
+    jest.isolateModules(() => {
+      FreshGnex = require("../src/js/gnex.js");
+    });
+
+    await FreshGnex.load("/items").catch(() => {});
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    window.dispatchEvent(new Event("online"));
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(FreshGnex.queue.storage).toBeNull();
+  });
+
+  test("deve reenviar itens persistidos em sessões anteriores ao ativar o modo offline e ao reconectar", async () => {
+    const storedItem = (id, url) => ({ id, sequence: 0, url, method: "POST", headers: {}, body: null, createdAt: 1, attempts: 0, status: "pending", lastError: null });
+    const stored = new Map([["old-1", storedItem("old-1", "/previous-session")]]);
+    let FreshGnex;
+    jest.isolateModules(() => {
+      FreshGnex = require("../src/js/gnex.js");
+    });
+    FreshGnex.queue.storage = {
+      get: async (key) => stored.get(key),
+      set: async (key, value) => { stored.set(key, value); },
+      delete: async (key) => { stored.delete(key); },
+      keys: async () => [...stored.keys()],
+      clear: async () => stored.clear(),
+    };
+    fetch.mockResolvedValue(jsonResponse());
+
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(fetch).not.toHaveBeenCalled();
+
+    document.body.appendChild(createMockForm("/save", "POST"));
+    FreshGnex.form("#mock-form", { offline: true });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch.mock.calls[0][0]).toBe("/previous-session");
+    expect(stored.size).toBe(0);
+
+    stored.set("old-2", storedItem("old-2", "/while-offline"));
+    window.dispatchEvent(new Event("online"));
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(fetch.mock.calls[1][0]).toBe("/while-offline");
+  });
+});
+
+describe("Eventos do ciclo de vida", () => {
+  test("deve disparar eventos no form que sobem até o document", async () => {
+    const form = createMockForm("/save", "POST");
+    document.body.appendChild(form);
+    fetch.mockResolvedValueOnce(jsonResponse({ id: 1 }));
+    const received = [];
+    const names = ["gnex:before-send", "gnex:send", "gnex:success", "gnex:complete"];
+    const listener = (event) => received.push([event.type, event.target, event.detail]);
+    names.forEach(name => document.addEventListener(name, listener));
+
+    await Gnex.submit(form);
+    names.forEach(name => document.removeEventListener(name, listener));
+
+    expect(received.map(([type]) => type)).toEqual(names);
+    expect(received.every(([, target]) => target === form)).toBe(true);
+    expect(received[0][2].url).toBe("http://localhost/save");
+    expect(received[2][2]).toMatchObject({ type: "json", data: { id: 1 }, cached: false });
+    expect(received[2][2].context).toBe(form);
+    expect(received[3][2].result.data).toEqual({ id: 1 });
+  });
+
+  test("preventDefault em gnex:before-send deve cancelar como beforeSend", async () => {
+    const form = createMockForm("/save", "POST");
+    document.body.appendChild(form);
+    form.addEventListener("gnex:before-send", (event) => event.preventDefault());
+    await expect(Gnex.submit(form)).rejects.toMatchObject({ kind: "cancelled" });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test("load() deve disparar gnex:error e gnex:complete no document", async () => {
+    fetch.mockResolvedValueOnce({ ok: false, status: 404, statusText: "Not Found", headers: new Headers() });
+    const onErrorEvent = jest.fn();
+    const onComplete = jest.fn();
+    document.addEventListener("gnex:error", onErrorEvent, { once: true });
+    document.addEventListener("gnex:complete", onComplete, { once: true });
+
+    await expect(Gnex.load("/missing")).rejects.toMatchObject({ kind: "http" });
+    expect(onErrorEvent.mock.calls[0][0].target).toBe(document);
+    expect(onErrorEvent.mock.calls[0][0].detail).toMatchObject({ type: "request", context: null });
+    expect(onComplete.mock.calls[0][0].detail.error.status).toBe(404);
+  });
+});
+
+describe("Estado de carregamento e submitter", () => {
+  test("deve desabilitar controles, marcar aria-busy e trocar o texto do botão durante o envio", async () => {
+    const form = createMockForm("/save", "POST");
+    form.innerHTML = '<input name="title"><input name="locked" disabled><button name="action" value="save" data-gnex-loading-text="Salvando...">Salvar</button>';
+    document.body.appendChild(form);
+    const button = form.querySelector("button");
+    let resolveFetch;
+    fetch.mockImplementationOnce(() => new Promise(resolve => { resolveFetch = resolve; }));
+
+    const handle = Gnex.submit(form, { submitter: button, loadingClass: "is-loading" });
+    await new Promise(process.nextTick);
+    expect(form.getAttribute("aria-busy")).toBe("true");
+    expect(form.classList.contains("is-loading")).toBe(true);
+    expect(form.querySelector('[name="title"]').disabled).toBe(true);
+    expect(button.disabled).toBe(true);
+    expect(button.textContent).toBe("Salvando...");
+
+    resolveFetch({ ok: true, headers: new Headers({ "Content-Type": "application/json" }), json: () => Promise.resolve({}) });
+    await handle;
+    expect(form.hasAttribute("aria-busy")).toBe(false);
+    expect(form.classList.contains("is-loading")).toBe(false);
+    expect(form.querySelector('[name="title"]').disabled).toBe(false);
+    expect(form.querySelector('[name="locked"]').disabled).toBe(true);
+    expect(button.disabled).toBe(false);
+    expect(button.textContent).toBe("Salvar");
+  });
+
+  test("deve incluir o submitter no payload e respeitar formaction, formmethod e formenctype", async () => {
+    const form = createMockForm("/save", "POST");
+    form.innerHTML = '<input name="title" value="Rascunho"><button name="intent" value="publish" formaction="/publish" formmethod="put" formenctype="application/json">Publicar</button>';
+    document.body.appendChild(form);
+    fetch.mockResolvedValueOnce({ ok: true, headers: new Headers({ "Content-Type": "application/json" }), json: () => Promise.resolve({}) });
+    await Gnex.submit(form, { submitter: form.querySelector("button") });
+
+    const [url, options] = fetch.mock.calls[0];
+    expect(url).toBe("http://localhost/publish");
+    expect(options.method).toBe("PUT");
+    expect(JSON.parse(options.body)).toEqual({ title: "Rascunho", intent: "publish" });
+  });
+  test("com replace e debounce a nova submissão deve ler os campos enquanto a anterior está em andamento", async () => {
+    jest.useFakeTimers();
+    try {
+      fetch.mockImplementation(() => new Promise(() => {}));
+      const form = createMockForm("/search", "GET");
+      form.innerHTML = '<input name="q">';
+      document.body.appendChild(form);
+      const input = form.querySelector("input");
+
+      input.value = "a";
+      Gnex.submit(form, { concurrency: "replace" }).catch(() => {});
+      await jest.advanceTimersByTimeAsync(0);
+      expect(input.disabled).toBe(false);
+      input.value = "ab";
+      Gnex.submit(form, { concurrency: "replace" }).catch(() => {});
+      await jest.advanceTimersByTimeAsync(0);
+
+      input.value = "x";
+      Gnex.submit(form, { concurrency: { debounce: 50 } }).catch(() => {});
+      await jest.advanceTimersByTimeAsync(50);
+      input.value = "xy";
+      Gnex.submit(form, { concurrency: { debounce: 50 } }).catch(() => {});
+      await jest.advanceTimersByTimeAsync(50);
+
+      expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+        "http://localhost/search?q=a",
+        "http://localhost/search?q=ab",
+        "http://localhost/search?q=x",
+        "http://localhost/search?q=xy",
+      ]);
+    } finally {
+      fetch.mockReset();
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe("Instâncias de formulário", () => {
+  test("form() deve ser idempotente e update() deve alterar a configuração", async () => {
+    const form = createMockForm("/save", "POST");
+    document.body.appendChild(form);
+    fetch.mockResolvedValue(jsonResponse());
+    const firstSuccess = jest.fn();
+    const secondSuccess = jest.fn();
+
+    Gnex.form("#mock-form", { async: true, onSuccess: firstSuccess });
+    const instance = Gnex.form("#mock-form", { async: true });
+    instance.update({ onSuccess: secondSuccess });
+    form.dispatchEvent(new Event("submit"));
+    await new Promise(process.nextTick);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(firstSuccess).not.toHaveBeenCalled();
+    expect(secondSuccess).toHaveBeenCalledTimes(1);
+    expect(instance.length).toBe(1);
+  });
+
+  test("isBusy(), abort() e destroy() devem controlar o formulário", async () => {
+    const form = createMockForm("/save", "POST");
+    document.body.appendChild(form);
+    fetch.mockImplementation((url, options) => new Promise((resolve, reject) => {
+      options.signal.addEventListener("abort", () => reject(new DOMException("Aborted", "AbortError")));
+    }));
+    const instance = Gnex.form("#mock-form", { async: true });
+
+    form.dispatchEvent(new Event("submit"));
+    expect(instance.isBusy()).toBe(true);
+    await new Promise(process.nextTick);
+    instance.abort();
+    await new Promise(process.nextTick);
+    expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+    expect(instance.isBusy()).toBe(false);
+
+    instance.destroy();
+    form.dispatchEvent(new Event("submit"));
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("destroyAll() deve remover todas as ligações", async () => {
+    document.body.innerHTML = '<form id="a" action="/a" method="post" data-gnex></form><form id="b" action="/b" method="post"></form>';
+    Gnex.bind(document);
+    Gnex.form("#b", { async: true });
+
+    Gnex.destroyAll();
+    document.querySelectorAll("form").forEach(form => form.dispatchEvent(new Event("submit", { cancelable: true })));
+    await new Promise(process.nextTick);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe("Gnex.create", () => {
+  test("deve criar instâncias com defaults, baseURL e interceptors independentes", async () => {
+    fetch.mockResolvedValue(jsonResponse());
+    const api = Gnex.create({ baseURL: "https://api.example.com/v1/", headers: { Authorization: "Bearer a" } });
+    const widget = Gnex.create({ headers: { "X-Widget": "1" } });
+    api.interceptors.request.use((request) => {
+      request.options.headers["X-Api"] = "1";
+      return request;
+    });
+
+    await api.load("/users", { headers: { "X-Trace": "t" } });
+    await widget.load("/embed");
+
+    expect(fetch.mock.calls[0][0]).toBe("https://api.example.com/v1/users");
+    expect(fetch.mock.calls[0][1].headers).toEqual({ Authorization: "Bearer a", "X-Trace": "t", "X-Api": "1" });
+    expect(fetch.mock.calls[1][0]).toBe("/embed");
+    expect(fetch.mock.calls[1][1].headers).toEqual({ "X-Widget": "1" });
+    expect(Gnex.defaults.headers).toEqual({});
+    expect(api.defaults.baseURL).toBe("https://api.example.com/v1/");
+    expect(Gnex.defaults.baseURL).toBe("");
+  });
+
+  test("deve isolar o cache e os formulários de cada instância", async () => {
+    fetch.mockResolvedValue(jsonResponse());
+    const first = Gnex.create({ cache: 60 });
+    const second = Gnex.create({ cache: 60 });
+
+    await first.load("/shared");
+    await first.load("/shared");
+    await second.load("/shared");
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    const form = createMockForm("/save", "POST");
+    document.body.appendChild(form);
+    first.form("#mock-form", { async: true });
+    second.destroyAll();
+    form.dispatchEvent(new Event("submit"));
+    await new Promise(process.nextTick);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test("deve completar opções aninhadas parciais com os defaults", async () => {
+    document.head.innerHTML = '<meta name="api-token" content="tok">';
+    Gnex._csrf.token = null;
+    fetch.mockResolvedValueOnce(jsonResponse({}, { status: 503 })).mockResolvedValue(jsonResponse());
+    const api = Gnex.create({ retry: { delay: 0, attempts: 1 }, csrf: { meta: "api-token" } });
+
+    await api.load("/items");
+    await api.load("/items", { method: "POST", retry: { attempts: 0 } });
+
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(fetch.mock.calls[2][1].headers).toEqual({ "X-CSRF-Token": "tok" });
+    expect(api.defaults.retry).toMatchObject({ delay: 0, attempts: 1, factor: 2, methods: Gnex.defaults.retry.methods });
+    expect(api.defaults.csrf).toMatchObject({ meta: "api-token", header: "X-CSRF-Token" });
+    document.head.innerHTML = "";
+  });
+});
+
+describe("Polling e gatilhos", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("poll deve repetir o load(), recuar após erros, pausar com a aba oculta e parar com stop()", async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse({ tick: 1 }))
+      .mockRejectedValueOnce(new TypeError("Failed to fetch"))
+      .mockResolvedValue(jsonResponse({ tick: 3 }));
+    const handle = Gnex.load("/status", { poll: 1000, onError: () => {} });
+    await expect(handle).resolves.toMatchObject({ data: { tick: 1 } });
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(fetch).toHaveBeenCalledTimes(3);
+
+    const hidden = jest.spyOn(document, "hidden", "get").mockReturnValue(true);
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(fetch).toHaveBeenCalledTimes(3);
+    hidden.mockReturnValue(false);
+    document.dispatchEvent(new Event("visibilitychange"));
+    await jest.advanceTimersByTimeAsync(0);
+    expect(fetch).toHaveBeenCalledTimes(4);
+    hidden.mockRestore();
+
+    handle.stop();
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(fetch).toHaveBeenCalledTimes(4);
+  });
+
+  test("on: 'input' deve enviar o valor do campo e on: 'every 2s' deve esperar o intervalo", async () => {
+    document.body.innerHTML = '<input id="q" name="q"><div id="results"></div>';
+    fetch.mockResolvedValue(jsonResponse({}));
+    const search = Gnex.load("/search", { on: "input", triggerElement: "#q", concurrency: "replace" });
+    const ticker = Gnex.load("/ticker", { on: "every 2s" });
+    expect(fetch).not.toHaveBeenCalled();
+
+    const input = document.querySelector("#q");
+    input.value = "gnex";
+    input.dispatchEvent(new Event("input"));
+    await jest.advanceTimersByTimeAsync(0);
+    expect(fetch.mock.calls[0][0]).toBe("/search?q=gnex");
+
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(fetch.mock.calls[1][0]).toBe("/ticker");
+
+    search.stop();
+    ticker.stop();
+    input.dispatchEvent(new Event("input"));
+    await jest.advanceTimersByTimeAsync(4000);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("digitação rápida deve substituir a busca em andamento pela mais recente", async () => {
+    document.body.innerHTML = '<input id="q" name="q"><div id="results"></div>';
+    const pending = [];
+    fetch.mockImplementation((url, options) => new Promise((resolve, reject) => {
+      pending.push({ url, resolve });
+      options.signal.addEventListener("abort", () => reject(options.signal.reason));
+    }));
+    const onSuccess = jest.fn();
+    const search = Gnex.load("/search", { on: "input", triggerElement: "#q", onSuccess });
+
+    const input = document.querySelector("#q");
+    for (const value of ["a", "ab", "abc"]) {
+      input.value = value;
+      input.dispatchEvent(new Event("input"));
+      await jest.advanceTimersByTimeAsync(0);
+    }
+
+    expect(pending.map(({ url }) => url)).toEqual(["/search?q=a", "/search?q=ab", "/search?q=abc"]);
+    expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+    expect(fetch.mock.calls[1][1].signal.aborted).toBe(true);
+    pending[2].resolve(jsonResponse({ q: "abc" }));
+    await expect(search).resolves.toMatchObject({ data: { q: "abc" } });
+    expect(onSuccess).toHaveBeenCalledTimes(1);
+    search.stop();
+    fetch.mockReset();
+  });
+
+  test("on: 'revealed' deve carregar uma vez quando o elemento ficar visível", async () => {
+    document.body.innerHTML = '<div id="lazy"></div>';
+    let observerCallback;
+    const disconnect = jest.fn();
+    global.IntersectionObserver = jest.fn((callback) => {
+      observerCallback = callback;
+      return { observe: jest.fn(), disconnect };
+    });
+    fetch.mockResolvedValue({ ok: true, status: 200, headers: new Headers({ "X-Partial-View": "true" }), text: () => Promise.resolve("<p>Conteúdo</p>") });
+
+    Gnex.load("/lazy", { on: "revealed", target: "#lazy" });
+    observerCallback([{ isIntersecting: false }]);
+    expect(fetch).not.toHaveBeenCalled();
+    observerCallback([{ isIntersecting: true }]);
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(disconnect).toHaveBeenCalled();
+    expect(document.querySelector("#lazy").innerHTML).toBe("<p>Conteúdo</p>");
+    delete global.IntersectionObserver;
+  });
+
+  test("on: 'revealed' deve carregar imediatamente sem IntersectionObserver", async () => {
+    document.body.innerHTML = '<div id="lazy"></div>';
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    fetch.mockResolvedValue({ ok: true, status: 200, headers: new Headers({ "X-Partial-View": "true" }), text: () => Promise.resolve("<p>Conteúdo</p>") });
+
+    const lazy = Gnex.load("/lazy", { on: "revealed", target: "#lazy", logger });
+    await expect(lazy).resolves.toMatchObject({ type: "x-html" });
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(logger.warn).toHaveBeenCalledWith("[Gnex] IntersectionObserver is not supported; loading at once", { url: "/lazy" });
+    expect(document.querySelector("#lazy").innerHTML).toBe("<p>Conteúdo</p>");
+    fetch.mockReset();
+  });
+});
+
+describe("CSRF e opções de segurança", () => {
+  beforeEach(() => {
+    Gnex._csrf.token = null;
+    document.head.innerHTML = '<meta name="csrf-token" content="meta-token">';
+  });
+
+  afterEach(() => {
+    document.head.innerHTML = "";
+  });
+
+  test("deve enviar o token apenas em métodos inseguros para a mesma origem", async () => {
+    fetch.mockResolvedValue(jsonResponse());
+    const form = createMockForm("/save", "POST");
+    document.body.appendChild(form);
+
+    await Gnex.submit(form);
+    await Gnex.load("/items");
+    await Gnex.load("https://other.example.com/items", { method: "POST" });
+
+    expect(fetch.mock.calls[0][1].headers["X-CSRF-Token"]).toBe("meta-token");
+    expect(fetch.mock.calls[1][1].headers["X-CSRF-Token"]).toBeUndefined();
+    expect(fetch.mock.calls[2][1].headers["X-CSRF-Token"]).toBeUndefined();
+  });
+
+  test("deve ler o cookie, renovar o token pelo cabeçalho da resposta e respeitar csrf: false", async () => {
+    document.head.innerHTML = "";
+    document.cookie = "XSRF-TOKEN=cookie%20token";
+    fetch.mockResolvedValueOnce(jsonResponse({}, { headers: { "X-CSRF-Token": "fresh-token" } })).mockResolvedValue(jsonResponse());
+
+    await Gnex.load("/a", { method: "DELETE" });
+    await Gnex.load("/b", { method: "PATCH", csrf: { header: "X-XSRF-Token" } });
+    await Gnex.load("/c", { method: "PUT", csrf: false });
+
+    expect(fetch.mock.calls[0][1].headers["X-CSRF-Token"]).toBe("cookie token");
+    expect(fetch.mock.calls[1][1].headers["X-XSRF-Token"]).toBe("fresh-token");
+    expect(fetch.mock.calls[2][1].headers).toEqual({});
+    document.cookie = "XSRF-TOKEN=; expires=Thu, 01 Jan 1970 00:00:00 GMT";
+  });
+
+  test("não deve renovar o token a partir de respostas de outra origem", async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse({}, { headers: { "X-CSRF-Token": "evil" } }))
+      .mockResolvedValueOnce({ ...jsonResponse({}, { headers: { "X-CSRF-Token": "redirected" } }), url: "https://other.example.com/final" })
+      .mockResolvedValue(jsonResponse());
+
+    await Gnex.load("https://other.example.com/items");
+    await Gnex.load("/redirect");
+    await Gnex.load("/save", { method: "POST" });
+
+    expect(Gnex._csrf.token).toBeNull();
+    expect(fetch.mock.calls[2][1].headers["X-CSRF-Token"]).toBe("meta-token");
+    expect(document.querySelector('meta[name="csrf-token"]').content).toBe("meta-token");
+  });
+
+  test("deve repassar credentials, mode e integrity no form() e no load()", async () => {
+    fetch.mockResolvedValue(jsonResponse());
+    const form = createMockForm("/save", "POST");
+    document.body.appendChild(form);
+
+    await Gnex.submit(form, { credentials: "include", mode: "same-origin" });
+    await Gnex.load("/script", { credentials: "omit", integrity: "sha384-abc" });
+
+    expect(fetch.mock.calls[0][1]).toMatchObject({ credentials: "include", mode: "same-origin" });
+    expect(fetch.mock.calls[1][1]).toMatchObject({ credentials: "omit", integrity: "sha384-abc" });
+    expect(fetch.mock.calls[1][1].mode).toBeUndefined();
+  });
+});
+
+describe("Validação no cliente", () => {
+  test("deve aplicar data-gnex-rules e restrições nativas e chamar onInvalid com os erros", async () => {
+    const form = createMockForm("/signup", "POST");
+    form.innerHTML = `
+      <input name="name" required>
+      <input name="email" value="invalido" data-gnex-rules="required|email">
+      <input name="password" value="secreta">
+      <input name="confirm" value="outra" data-gnex-rules="matches:password" data-gnex-message-matches="As senhas não conferem.">
+      <input name="nick" value="ab" data-gnex-rules="min:3">
+      <span data-gnex-error-for="email"></span>`;
+    document.body.appendChild(form);
+    const onInvalid = jest.fn();
+
+    await expect(Gnex.submit(form, { onInvalid })).rejects.toMatchObject({ kind: "cancelled" });
+    expect(fetch).not.toHaveBeenCalled();
+
+    const errors = onInvalid.mock.calls[0][0];
+    expect(Object.keys(errors)).toEqual(["name", "email", "confirm", "nick"]);
+    expect(errors.email).toEqual(["Enter a valid email address."]);
+    expect(errors.confirm).toEqual(["As senhas não conferem."]);
+    expect(errors.nick).toEqual(["Enter at least 3."]);
+    expect(onInvalid.mock.calls[0][1]).toBe(form);
+    expect(form.querySelector('[name="email"]').getAttribute("aria-invalid")).toBe("true");
+    expect(form.querySelector('[data-gnex-error-for="email"]').textContent).toBe("Enter a valid email address.");
+  });
+
+  test("deve validar regras remotas via load() e regras customizadas", async () => {
+    Gnex.rules.even = { message: "Use um número par.", validate: (value) => value === "" || Number(value) % 2 === 0 };
+    const form = createMockForm("/signup", "POST");
+    form.innerHTML = '<input name="username" value="gnex" data-gnex-rules="required|remote:/check-username"><input name="count" value="3" data-gnex-rules="even">';
+    document.body.appendChild(form);
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      headers: new Headers({ "Content-Type": "application/json" }),
+      json: () => Promise.resolve({ valid: false, message: "Usuário indisponível." }),
+    });
+
+    const errors = await Gnex.validateForm(form);
+    expect(fetch.mock.calls[0][0]).toBe("/check-username?username=gnex");
+    expect(errors).toEqual({ username: ["Usuário indisponível."], count: ["Use um número par."] });
+    delete Gnex.rules.even;
+  });
+
+  test("liveValidation deve validar no blur e revalidar durante a digitação", async () => {
+    const form = createMockForm("/signup", "POST");
+    form.innerHTML = '<input name="email" data-gnex-rules="email"><span data-gnex-error-for="email"></span>';
+    document.body.appendChild(form);
+    Gnex.form("#mock-form", { async: true, liveValidation: "blur" });
+    const input = form.querySelector("input");
+    const message = form.querySelector("span");
+
+    input.value = "gnex";
+    input.dispatchEvent(new Event("input", { bubbles: true }));
+    await new Promise(process.nextTick);
+    expect(message.textContent).toBe("");
+
+    input.dispatchEvent(new FocusEvent("focusout", { bubbles: true }));
+    await new Promise(process.nextTick);
+    expect(message.textContent).toBe("Enter a valid email address.");
+
+    input.value = "gnex@example.com";
+    input.dispatchEvent(new Event("input", { bubbles: true }));
+    await new Promise(process.nextTick);
+    expect(message.textContent).toBe("");
+    expect(input.hasAttribute("aria-invalid")).toBe(false);
+  });
+
+  test("deve respeitar novalidate no form e formnovalidate no submitter", async () => {
+    fetch.mockResolvedValue(jsonResponse());
+    const form = createMockForm("/draft", "POST");
+    form.noValidate = true;
+    form.innerHTML = `
+      <input name="email" type="email" value="invalido" required>
+      <input name="nick" value="ab" data-gnex-rules="min:3">
+      <button name="action" value="draft" formnovalidate>Rascunho</button>`;
+    document.body.appendChild(form);
+    const onInvalid = jest.fn();
+
+    await expect(Gnex.submit(form, { onInvalid })).rejects.toMatchObject({ kind: "cancelled" });
+    expect(onInvalid.mock.calls[0][0]).toEqual({ nick: ["Enter at least 3."] });
+
+    await Gnex.submit(form, { submitter: form.querySelector("button") });
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch.mock.calls[0][1].body.get("action")).toBe("draft");
+  });
+});
+
+describe("Parsers de resposta", () => {
+  test("deve entregar cada linha NDJSON ao onChunk durante o streaming", async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      headers: new Headers({ "Content-Type": "application/x-ndjson" }),
+      body: new ReadableStream({
+        start(controller) {
+          controller.enqueue(new TextEncoder().encode('{"id":1}\n{"id"'));
+          controller.enqueue(new TextEncoder().encode(':2}\n{"id":3}'));
+          controller.close();
+        },
+      }),
+    });
+    const onChunk = jest.fn();
+
+    const result = await Gnex.load("/feed", { onChunk });
+    expect(result.type).toBe("ndjson");
+    expect(result.data).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    expect(onChunk.mock.calls.map(([chunk, , index]) => [chunk.id, index])).toEqual([[1, 0], [2, 1], [3, 2]]);
+  });
+
+  test("deve tratar JSON +json, XML, HTML e baixar anexos como Blob", async () => {
+    const createObjectURL = jest.fn(() => "blob:report");
+    URL.createObjectURL = createObjectURL;
+    URL.revokeObjectURL = jest.fn();
+    const clickSpy = jest.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+    const pdf = new Blob(["%PDF"], { type: "application/pdf" });
+    fetch
+      .mockResolvedValueOnce({ ok: true, headers: new Headers({ "Content-Type": "application/problem+json; charset=utf-8" }), json: () => Promise.resolve({ ok: 1 }) })
+      .mockResolvedValueOnce({ ok: true, headers: new Headers({ "Content-Type": "application/xml" }), text: () => Promise.resolve("<feed><item>a</item></feed>") })
+      .mockResolvedValueOnce({ ok: true, headers: new Headers({ "Content-Type": "text/html" }), text: () => Promise.resolve("<p>oi</p>") })
+      .mockResolvedValueOnce({
+        ok: true,
+        headers: new Headers({ "Content-Type": "application/pdf", "Content-Disposition": "attachment; filename=\"report.pdf\"; filename*=UTF-8''relat%C3%B3rio.pdf" }),
+        blob: () => Promise.resolve(pdf),
+      });
+
+    expect((await Gnex.load("/a")).type).toBe("json");
+    const xml = await Gnex.load("/b");
+    expect(xml.type).toBe("xml");
+    expect(xml.data.querySelector("item").textContent).toBe("a");
+    expect((await Gnex.load("/c")).type).toBe("full-html");
+    const file = await Gnex.load("/d");
+    expect(file.type).toBe("blob");
+    expect(file.data).toBe(pdf);
+    expect(createObjectURL).toHaveBeenCalledWith(pdf);
+    expect(clickSpy.mock.contexts[0].download).toBe("relatório.pdf");
+    clickSpy.mockRestore();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:report");
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  test("não deve cachear respostas XML nem Blob", async () => {
+    fetch.mockImplementation(async (url) => (url === "/feed.xml"
+      ? { ok: true, headers: new Headers({ "Content-Type": "application/xml" }), text: () => Promise.resolve("<feed><item>a</item></feed>") }
+      : { ok: true, headers: new Headers({ "Content-Type": "application/octet-stream" }), blob: () => Promise.resolve(new Blob(["bin"])) }));
+
+    await Gnex.load("/feed.xml", { cache: true, cacheStorage: "session" });
+    const xml = await Gnex.load("/feed.xml", { cache: true, cacheStorage: "session" });
+    await Gnex.load("/data.bin", { cache: true, download: false });
+    const blob = await Gnex.load("/data.bin", { cache: true, download: false });
+
+    expect(fetch).toHaveBeenCalledTimes(4);
+    expect(xml).toMatchObject({ type: "xml", cached: false });
+    expect(xml.data.querySelector("item").textContent).toBe("a");
+    expect(blob).toMatchObject({ type: "blob", cached: false });
+    expect(sessionStorage.length).toBe(0);
+    fetch.mockReset();
+  });
+
+  test("parsers registrados devem ter precedência sobre os embutidos", async () => {
+    Gnex.parsers.register(
+      (response, mimeType) => mimeType === "application/json" && response.headers.get("X-Envelope") === "1",
+      async (response) => (await response.json()).payload,
+      "envelope"
+    );
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      headers: new Headers({ "Content-Type": "application/json", "X-Envelope": "1" }),
+      json: () => Promise.resolve({ payload: [1, 2] }),
+    });
+
+    const onSuccess = jest.fn();
+    await Gnex.load("/wrapped", { onSuccess });
+    expect(onSuccess).toHaveBeenCalledWith("envelope", null, [1, 2]);
+    expect(Gnex.parsers.unregister("envelope")).toBe(true);
+  });
+
+  test("deve inserir respostas text/plain como texto, sem interpretar HTML", async () => {
+    document.body.innerHTML = '<div id="out"></div>';
+    const payload = '<img src="x" onerror="alert(1)">';
+    fetch.mockResolvedValueOnce({ ok: true, headers: new Headers({ "Content-Type": "text/plain" }), text: () => Promise.resolve(payload) });
+
+    const result = await Gnex.load("/plain", { target: "#out" });
+    const out = document.getElementById("out");
+    expect(result.type).toBe("text");
+    expect(out.querySelector("img")).toBeNull();
+    expect(out.textContent).toBe(payload);
+  });
+});
+
+describe("Upload em partes", () => {
+  const withFile = (file) => (data) => {
+    data.append("doc", file);
+    return data;
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test("deve criar o upload tus, enviar as partes com PATCH e trocar o arquivo pela URL", async () => {
+    const file = new File(["abcdefghij"], "notas.txt", { type: "text/plain" });
+    fetch
+      .mockResolvedValueOnce(jsonResponse({}, { status: 201, headers: { Location: "/files/42" } }))
+      .mockResolvedValueOnce(jsonResponse({}, { status: 204, headers: { "Upload-Offset": "4" } }))
+      .mockResolvedValueOnce(jsonResponse({}, { status: 204, headers: { "Upload-Offset": "8" } }))
+      .mockResolvedValueOnce(jsonResponse({}, { status: 204, headers: { "Upload-Offset": "10" } }))
+      .mockResolvedValueOnce(jsonResponse());
+    const onProgress = jest.fn();
+    const form = createMockForm("/save", "POST");
+    document.body.appendChild(form);
+
+    await Gnex.submit(form, { chunkedUpload: "tus", uploadUrl: "/files", chunkSize: 4, transformData: withFile(file), onProgress });
+
+    expect(fetch.mock.calls[0][1].method).toBe("POST");
+    expect(fetch.mock.calls[0][1].headers).toMatchObject({ "Tus-Resumable": "1.0.0", "Upload-Length": "10" });
+    expect(fetch.mock.calls.slice(1, 4).map(([url, options]) => [url, options.method, options.headers["Upload-Offset"], options.body.size]))
+      .toEqual([["http://localhost/files/42", "PATCH", "0", 4], ["http://localhost/files/42", "PATCH", "4", 4], ["http://localhost/files/42", "PATCH", "8", 2]]);
+    expect(fetch.mock.calls[4][1].body.get("doc")).toBe("http://localhost/files/42");
+    expect(onProgress.mock.calls.map(([, progress]) => progress.percent)).toEqual([0, 40, 80, 100]);
+    expect(localStorage.length).toBe(0);
+  });
+
+  test("deve retomar do offset informado pelo servidor após falha de uma parte", async () => {
+    const file = new File(["abcdefghij"], "video.mp4", { type: "video/mp4", lastModified: 1 });
+    localStorage.setItem("gnex-upload:http://localhost/files:doc:video.mp4:10:1", "http://localhost/files/7");
+    fetch
+      .mockResolvedValueOnce(jsonResponse({}, { status: 200, headers: { "Upload-Offset": "6" } }))
+      .mockRejectedValueOnce(new TypeError("Failed to fetch"))
+      .mockResolvedValueOnce(jsonResponse({}, { status: 200, headers: { "Upload-Offset": "8" } }))
+      .mockResolvedValueOnce(jsonResponse({}, { status: 204, headers: { "Upload-Offset": "10" } }))
+      .mockResolvedValueOnce(jsonResponse());
+    const onRetry = jest.fn();
+    const form = createMockForm("/save", "POST");
+    document.body.appendChild(form);
+
+    await Gnex.submit(form, { chunkedUpload: true, uploadUrl: "/files", chunkSize: 4, retry: { delay: 0 }, transformData: withFile(file), onRetry });
+
+    expect(fetch.mock.calls.slice(0, 4).map(([, options]) => [options.method, options.headers["Upload-Offset"]]))
+      .toEqual([["HEAD", undefined], ["PATCH", "6"], ["HEAD", undefined], ["PATCH", "8"]]);
+    expect(onRetry).toHaveBeenCalledTimes(1);
+    expect(fetch.mock.calls[4][1].body.get("doc")).toBe("http://localhost/files/7");
+  });
+
+  test("modo simple deve enviar partes em paralelo com Content-Range e repetir a que falhar", async () => {
+    const file = new File(["abcdefghij"], "dados.csv", { type: "text/csv" });
+    fetch
+      .mockResolvedValueOnce(jsonResponse({}, { status: 200 }))
+      .mockResolvedValueOnce(jsonResponse({}, { status: 503 }))
+      .mockResolvedValueOnce(jsonResponse({}, { status: 200 }))
+      .mockResolvedValueOnce(jsonResponse({}, { status: 200 }))
+      .mockResolvedValueOnce(jsonResponse());
+    const form = createMockForm("/save", "POST");
+    document.body.appendChild(form);
+
+    await Gnex.submit(form, { chunkedUpload: "simple", chunkSize: 4, chunkParallel: 2, retry: { delay: 0 }, transformData: withFile(file) });
+
+    const chunkCalls = fetch.mock.calls.slice(0, 4);
+    expect(chunkCalls.every(([url]) => url === "http://localhost/save")).toBe(true);
+    expect(chunkCalls.map(([, options]) => options.headers["Content-Range"]).sort())
+      .toEqual(["bytes 0-3/10", "bytes 4-7/10", "bytes 4-7/10", "bytes 8-9/10"]);
+    expect(new Set(chunkCalls.map(([, options]) => options.headers["X-Upload-Id"])).size).toBe(1);
+    expect(fetch.mock.calls[4][1].body.get("doc")).toBe(chunkCalls[0][1].headers["X-Upload-Id"]);
+  });
+
+  test("modo simple deve parar os demais envios quando uma parte falhar", async () => {
+    const file = new File(["abcdefghijkl"], "dados.csv", { type: "text/csv" });
+    const pending = [];
+    fetch.mockImplementation((url, options) => {
+      if (options.headers["Content-Range"] === "bytes 0-3/12") return Promise.resolve(jsonResponse({}, { status: 400 }));
+      return new Promise((resolve, reject) => {
+        pending.push(options);
+        options.signal.addEventListener("abort", () => reject(options.signal.reason));
+      });
+    });
+    const onError = jest.fn();
+    const form = createMockForm("/save", "POST");
+    document.body.appendChild(form);
+
+    await expect(Gnex.submit(form, { chunkedUpload: "simple", chunkSize: 4, chunkParallel: 2, transformData: withFile(file), onError }))
+      .rejects.toMatchObject({ kind: "http", status: 400 });
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(pending[0].signal.aborted).toBe(true);
+    expect(onError).toHaveBeenCalledWith("upload", form, expect.objectContaining({ status: 400 }));
+    fetch.mockReset();
+  });
+});
+
+describe("Logger e inspeção", () => {
+  beforeEach(() => {
+    Gnex.inspect({ clear: true });
+  });
+
+  test("deve respeitar logLevel e enviar payloads estruturados ao logger", async () => {
+    fetch.mockResolvedValue(jsonResponse());
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+    await Gnex.load("/items", { logger, logLevel: "info" });
+    expect(logger.debug).not.toHaveBeenCalled();
+    expect(logger.info).toHaveBeenCalledWith("[Gnex] Request finished", expect.objectContaining({ url: "/items", state: "success" }));
+
+    await Gnex.load("/items", { logger, debug: true });
+    expect(logger.debug).toHaveBeenCalledWith("[Gnex] Starting request", { method: "GET", url: "/items" });
+
+    const htmlResponse = { ok: true, status: 200, headers: new Headers({ "Content-Type": "text/html" }), text: () => Promise.resolve("<p>oi</p>") };
+    fetch.mockResolvedValueOnce(htmlResponse).mockResolvedValueOnce(htmlResponse);
+    await Gnex.load("/fragment", { logger, target: "#inexistente" });
+    await Gnex.load("/fragment", { logger, logLevel: "silent", target: "#inexistente" });
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+    expect(logger.warn).toHaveBeenCalledWith("[Gnex] The swap target does not match any element", { target: "#inexistente" });
+  });
+
+  test("inspect() e onMetrics devem registrar tentativas, status, bytes e cache", async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse({}, { status: 503 }))
+      .mockResolvedValueOnce(jsonResponse({}, { headers: { "Content-Length": "11" } }));
+    const onMetrics = jest.fn();
+
+    await Gnex.load("/report", { retry: { attempts: 1, delay: 0 }, cache: true, onMetrics });
+    await Gnex.load("/report", { cache: true, onMetrics });
+
+    const [first, second] = Gnex.inspect();
+    expect(first).toMatchObject({ kind: "load", url: "/report", method: "GET", state: "success", status: 200, responseType: "json", attempts: 2, bytes: 11, cacheHit: false });
+    expect(first.timings.duration).toBe(first.timings.end - first.timings.start);
+    expect(second).toMatchObject({ cacheHit: true, attempts: 0, responseType: "json" });
+    expect(onMetrics.mock.calls.map(([record]) => record.id)).toEqual([first.id, second.id]);
+  });
+
+  test("deve registrar submissões com erro e limpar a linha do tempo", async () => {
+    fetch.mockResolvedValueOnce({ ok: false, status: 500, headers: new Headers({ "Content-Type": "text/plain" }), text: () => Promise.resolve("") });
+    const form = createMockForm("/save", "POST");
+    document.body.appendChild(form);
+
+    await expect(Gnex.submit(form)).rejects.toMatchObject({ kind: "http" });
+
+    const records = Gnex.inspect({ clear: true });
+    expect(records).toHaveLength(1);
+    expect(records[0]).toMatchObject({ kind: "submit", method: "POST", state: "error", status: 500, error: "http" });
+    expect(records[0].context).toBe(form);
+    expect(Gnex.inspect()).toEqual([]);
+  });
+
+  test("avisos internos devem passar pelo logger configurado", async () => {
+    fetch.mockResolvedValue(jsonResponse());
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    warnSpy.mockClear();
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    document.body.innerHTML = `<a href="/x" data-gnex data-gnex-headers="{invalido"></a><div id="out"></div>`;
+
+    await Gnex.load("/items", { method: "POST", body: { a: 1 }, encoding: "weird", logger });
+    Gnex.bind(document, { logger });
+    await Gnex.load("/items", { method: "POST", body: { a: 1 }, encoding: "weird", logger, logLevel: "silent" });
+    Gnex.bind(document, { logger, logLevel: "silent" });
+
+    expect(logger.warn.mock.calls.map(([message]) => message)).toEqual([
+      "[Gnex] Unknown encoding, using multipart",
+      "[Gnex] Invalid JSON in attribute",
+    ]);
+    expect(warnSpy).not.toHaveBeenCalled();
+    warnSpy.mockRestore();
+  });
+});
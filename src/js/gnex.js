@@ -8,451 +8,4154 @@ const Gnex = {
         async: false,              // Determines if submission uses AJAX
         sse: false,                // Enables Server-Sent Events mode
         timeout: 0,                // Request timeout in milliseconds (0 = no timeout)
-        retryCount: 0,             // Number of retries on failure
+        retryCount: 0,             // Number of retries on failure (shorthand for retry.attempts)
+        retry: {                   // Retry policy, merged with these values per call
+            delay: 300,            // Base backoff delay in milliseconds
+            factor: 2,             // Backoff multiplier per attempt
+            maxDelay: 30000,       // Upper bound for a single delay in milliseconds
+            jitter: true,          // Randomizes each delay between 50% and 100% of its value
+            statuses: [408, 425, 429, 500, 502, 503, 504], // Retryable HTTP statuses
+            methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'], // Retryable (idempotent) methods
+            retryAfter: true       // Honors the Retry-After response header
+        },
+        onRetry: null,             // Retry callback: (context, retryInfo) => {}
+        onEvent: null,             // SSE callback for every event: (eventType, eventData, eventMeta) => {}
+        events: null,              // SSE handlers by event name: { [eventType]: (eventData, eventMeta) => {} }
+        reconnectDelay: 3000,      // stream() reconnection delay in milliseconds until the server sends retry:
+        maxReconnects: null,       // stream() consecutive failed reconnections before giving up (null = unlimited)
+        onStateChange: null,       // stream() state callback: (state, streamHandle) => {}
         headers: {},               // Custom HTTP headers
+        csrf: {                    // CSRF token for same-origin unsafe requests (false disables)
+            meta: 'csrf-token',    // <meta name> holding the token
+            cookie: 'XSRF-TOKEN',  // Cookie read when the meta tag is missing
+            header: 'X-CSRF-Token', // Request header carrying the token
+            responseHeader: 'X-CSRF-Token' // Response header refreshing the token
+        },
+        credentials: null,         // fetch credentials: 'omit', 'same-origin' or 'include' (null = browser default)
+        mode: null,                // fetch mode: 'cors', 'no-cors' or 'same-origin'
+        integrity: null,           // Subresource integrity hash of the expected response
+        referrerPolicy: null,      // fetch referrer policy
         onProgress: null,          // Progress callback: (context, progressData) => {}
         setLoadingState: null,     // Loading state setter: (context) => {}
         resetLoadingState: null,   // Loading state resetter: (context) => {}
         onSuccess: null,           // Success callback: (responseType, context, responseData) => {}
         onError: null,             // Error callback: (errorType, context, errorDetails) => {}
         beforeSend: null,          // Pre-request hook: (context, formData, requestOptions) => {}
-        cache: false,              // Cache duration (true = indefinite, number = seconds)
+        cache: false,              // Cache duration for GET/HEAD responses (true = indefinite, number = seconds)
+        cacheKey: null,            // Cache key builder: ({ url, options, config, context }) => string
+        cacheStorage: 'memory',    // Cache backend: 'memory', 'session', 'local', 'indexeddb' or an adapter object
+        cacheTags: null,           // Tags stored with the cached response, for Gnex.cache.invalidateTags()
+        staleWhileRevalidate: false, // Serves expired entries and refreshes them in the background (true or seconds)
+        invalidateTags: null,      // Cache tags invalidated after a successful request
         transformData: null,       // Data transformer: (formData) => formData
         validate: null,            // Form validator: (formElement) => true/false
-        debug: false,              // Enables debug logging
-        method: 'GET'              // Default HTTP method
+        clientValidation: true,    // Checks native constraints (unless novalidate) and data-gnex-rules before submitting; formnovalidate skips it
+        liveValidation: false,     // Validates fields while editing: 'blur' (then on input once invalid), 'input' or false
+        onInvalid: null,           // Client-side validation callback: (errors, context) => {}
+        onChunk: null,             // NDJSON callback for each parsed line: (chunk, context, index) => {}
+        download: true,            // Saves responses sent with Content-Disposition: attachment as files
+        debug: false,              // Enables debug logging (shorthand for logLevel: 'debug')
+        logger: null,              // Logger with debug, info, warn and error methods (null = console)
+        logLevel: null,            // Lowest level logged: debug, info, warn, error or silent (null = 'debug' with debug, else 'warn')
+        onMetrics: null,           // Timeline record of each finished submission/load: (record) => {}
+        target: null,              // Swap target for HTML responses: selector, element or 'this' (the form)
+        swap: 'innerHTML',         // Swap strategy: innerHTML, outerHTML, beforeend, afterbegin, delete, none
+        errorSelector: '[data-gnex-error-for="{name}"]', // Per-field validation message container ({name} = field name)
+        errorSummary: null,        // Container for validation messages not tied to a field: selector or element
+        method: 'GET',             // Default HTTP method
+        encoding: 'multipart',     // Body encoding: 'multipart' (FormData), 'urlencoded' or 'json'
+        body: null,                // load()/stream() request body: object, FormData, URLSearchParams or string
+        params: null,              // load() query parameters merged into the URL: object or URLSearchParams
+        pushState: false,          // Pushes the URL of successful GET requests to history (true or 'replace')
+        baseURL: '',               // Base for relative load()/stream() URLs
+        poll: null,                // load() repeat interval in milliseconds (backs off on errors, pauses in hidden tabs)
+        on: null,                  // load() trigger: 'change', 'input', 'revealed' or 'every 5s' / 'every 500ms'
+        triggerElement: null,      // Element (or selector) watched by on; defaults to the target
+        navigate: false,           // Navigation mode (true or 'replace'): history entries, back/forward restore, redirects
+        concurrency: 'drop',       // Repeated requests: 'drop', 'replace', 'queue' or { debounce: ms } ('debounce:ms')
+        concurrencyKey: null,      // load() key sharing the concurrency strategy (forms use the form itself)
+        dedupe: true,              // Identical in-flight GET/HEAD load() calls share one network request
+        offline: false,            // Queues unsafe requests that fail offline and replays them on reconnect
+        onQueued: null,            // Offline queue callback: (context, queuedItem) => {}
+        onReplayed: null,          // Replay callback: (context, queuedItem, result, error) => {}
+        domEvents: true,           // Dispatches gnex:* lifecycle events on the form (document for load())
+        loadingState: true,        // Built-in form loading state: disabled controls (with concurrency 'drop'), aria-busy, loadingClass, loading text
+        loadingClass: 'gnex-loading', // CSS class added to the form while it submits
+        chunkedUpload: false,      // Uploads File fields in chunks first: 'tus' (resumable HEAD/PATCH), 'simple' (Content-Range POSTs); true = 'tus'
+        uploadUrl: null,           // Chunk upload endpoint (defaults to the request URL)
+        chunkSize: 5242880,        // Chunk size in bytes
+        chunkParallel: 1,          // Chunks sent at once with the 'simple' protocol (tus is sequential)
+        chunkRetries: 3,           // Retries per failed chunk (backoff from the retry policy)
+        transport: 'auto'          // Request transport: 'fetch', 'xhr' or 'auto' (XHR for file uploads with onProgress)
     },
 
+    interceptors: {                   // Cross-cutting hooks shared by form() and load()
+        request: createInterceptorStack(),  // (request) => request | false to cancel
+        response: createInterceptorStack(), // (result) => result | false to skip onSuccess
+        error: createInterceptorStack()     // (errorInfo) => errorInfo | false to suppress onError
+    },
+
+    cache: createResponseCache(),     // Response cache with pluggable storage backends
+
+    parsers: createParserRegistry(),  // Response parsers, shared by all instances
+
+    rules: {                          // data-gnex-rules validators: { message, validate(value, arg, field, formElement) }
+        required: {
+            message: 'This field is required.',
+            validate: value => value.trim() !== ''
+        },
+        email: {
+            message: 'Enter a valid email address.',
+            validate: value => value === '' || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+        },
+        url: {
+            message: 'Enter a valid URL.',
+            validate: value => value === '' || /^https?:\/\/\S+$/i.test(value)
+        },
+        number: {
+            message: 'Enter a number.',
+            validate: value => value === '' || Number.isFinite(Number(value))
+        },
+        min: {
+            message: 'Enter at least {arg}.',
+            validate: (value, arg, field) => value === ''
+                || (['number', 'range'].includes(field.type) ? Number(value) >= Number(arg) : value.length >= Number(arg))
+        },
+        max: {
+            message: 'Enter at most {arg}.',
+            validate: (value, arg, field) => value === ''
+                || (['number', 'range'].includes(field.type) ? Number(value) <= Number(arg) : value.length <= Number(arg))
+        },
+        matches: {
+            message: 'The values do not match.',
+            validate: (value, arg, field, formElement) => {
+                const otherField = formElement.elements.namedItem(arg);
+                return !otherField || value === otherField.value;
+            }
+        },
+        remote: {
+            message: 'This value is not available.',
+            /**
+             * Asks a URL whether the value is valid: GET url?name=value answered with
+             * true/false, 'true'/'false' or { valid, message }. Request failures pass,
+             * leaving the decision to the server-side validation.
+             */
+            async validate(value, arg, field, formElement) {
+                if (value === '') return true;
+                try {
+                    const { data } = await this.load(arg, {
+                        params: { [field.name]: value },
+                        target: null,
+                        onSuccess: null,
+                        onError: null,
+                        domEvents: false
+                    });
+                    if (data && typeof data === 'object') return data.valid === true || data.message || false;
+                    return data === true || String(data).trim() === 'true';
+                } catch (error) {
+                    this._log(this._formConfigs.get(formElement) || this.defaults, 'warn', 'Remote validation failed', { field: field.name, error });
+                    return true;
+                }
+            }
+        }
+    },
+
+    queue: createSubmissionQueue( // Offline submission queue, shared by all instances
+        (item, body, session) => ((session && session.instance) || Gnex)._replayQueued(item, body, session),
+        (level, message, data) => Gnex._log(Gnex.defaults, level, message, data)
+    ),
+
     _abortControllers: new WeakMap(), // Stores AbortController instances for requests
-    _responseCache: new Map(),        // Caches responses for reuse
     _formConfigs: new WeakMap(),      // Stores per-form configurations
+    _boundListeners: new WeakMap(),   // Stores listeners attached to bound elements
+    _boundElements: new Set(),        // Elements bound by form() and bind(), for destroyAll()
+    _observers: new Map(),            // Stores MutationObservers created by observe()
+    _validationMarks: new WeakMap(),  // Stores fields and containers marked by server-side validation
+    _concurrencyStates: new Map(),    // In-flight, queued and debounced requests by concurrency key
+    _inflightLoads: new Map(),        // In-flight load() requests by dedupe key
+    _loadingStates: new WeakMap(),    // Controls and submitter text changed by the built-in loading state
+    _liveValidationRuns: new WeakMap(), // Latest live validation run per field, to drop outdated async results
+    _history: {                       // Page-wide history state, shared by instances from create()
+        snapshots: new Map(),         // Content snapshots by history entry id, restored on popstate
+        state: null,                  // State of the current Gnex history entry
+        listener: null                // popstate listener, installed with the first history entry
+    },
+    _maxHistorySnapshots: 20,         // Number of history snapshots kept
+    _csrf: { token: null },           // CSRF token refreshed from responses, shared by instances from create()
+    _timeline: [],                    // Timeline records of recent submissions and loads, read with inspect()
+    _timelineId: 0,                   // Last timeline record id
+    _maxTimelineRecords: 100,         // Number of timeline records kept
+
+    _declarativeSelector: 'form[data-gnex], a[data-gnex]', // Elements configured from markup
+    _callbackOptions: [                                    // Options resolved to global functions from markup
+        'onProgress', 'setLoadingState', 'resetLoadingState', 'onSuccess',
+        'onError', 'beforeSend', 'transformData', 'validate', 'onRetry', 'onEvent', 'onStateChange', 'cacheKey',
+        'onQueued', 'onReplayed', 'onInvalid', 'onChunk', 'onMetrics'
+    ],
+    _nestedOptions: ['headers', 'retry', 'csrf'],           // Options merged key by key by _mergeConfig()
+    _logLevels: ['debug', 'info', 'warn', 'error', 'silent'], // Log levels from most to least verbose
+
+    /**
+     * Creates an independent instance with its own defaults, interceptors, cache
+     * and request registries. Options are merged over this instance's defaults
+     * (headers deeply). History handling and the offline queue stay page-wide;
+     * persistent cache backends share their browser storage.
+     * @param {Object} options - Default options of the new instance (e.g. baseURL, headers)
+     * @returns {Object} Gnex instance
+     */
+    create(options = {}) {
+        const instance = Object.create(this);
+
+        return Object.assign(instance, {
+            defaults: this._mergeConfig(this.defaults, options),
+            interceptors: {
+                request: createInterceptorStack(),
+                response: createInterceptorStack(),
+                error: createInterceptorStack()
+            },
+            cache: createResponseCache(),
+            _abortControllers: new WeakMap(),
+            _formConfigs: new WeakMap(),
+            _boundListeners: new WeakMap(),
+            _boundElements: new Set(),
+            _observers: new Map(),
+            _validationMarks: new WeakMap(),
+            _concurrencyStates: new Map(),
+            _inflightLoads: new Map(),
+            _loadingStates: new WeakMap(),
+            _liveValidationRuns: new WeakMap(),
+            _timeline: []
+        });
+    },
+
+    /**
+     * Merges configuration objects left to right. Nested options (headers, retry,
+     * csrf) are merged key by key instead of being replaced; true keeps the
+     * nested settings already configured.
+     * @param {Object} base - Base configuration
+     * @param {...Object} sources - Options taking precedence over base
+     * @returns {Object} Merged configuration
+     */
+    _mergeConfig(base, ...sources) {
+        const isPlainObject = value => Object.prototype.toString.call(value) === '[object Object]';
+
+        return sources.reduce((merged, source) => {
+            if (!source) return merged;
+            const result = { ...merged, ...source };
+            this._nestedOptions.forEach(optionName => {
+                const baseValue = merged[optionName];
+                const sourceValue = source[optionName];
+                if (!isPlainObject(baseValue) || sourceValue === undefined) return;
+                if (sourceValue === true) result[optionName] = baseValue;
+                if (isPlainObject(sourceValue)) result[optionName] = { ...baseValue, ...sourceValue };
+            });
+            return result;
+        }, { ...base });
+    },
+
+    /**
+     * Resolves a URL against the baseURL option. Absolute and protocol-relative
+     * URLs are kept.
+     * @param {string} url - Request URL
+     * @param {Object} config - Configuration object
+     * @returns {string} Resolved URL
+     */
+    _resolveUrl(url, config) {
+        if (!config.baseURL || /^([a-z][a-z\d+.-]*:|\/\/)/i.test(url)) return url;
+        return `${String(config.baseURL).replace(/\/+$/, '')}/${String(url).replace(/^\/+/, '')}`;
+    },
+
+    /**
+     * Writes a log entry through the configured logger when its level is enabled.
+     * Debug entries go to console.log when logging to the console.
+     * @param {Object} config - Configuration object (logger, logLevel, debug)
+     * @param {string} level - debug, info, warn or error
+     * @param {string} message - Message, prefixed with [Gnex]
+     * @param {Object} [data] - Structured payload
+     */
+    _log(config, level, message, data) {
+        const threshold = config.logLevel || (config.debug ? 'debug' : 'warn');
+        if (this._logLevels.indexOf(level) < this._logLevels.indexOf(threshold)) return;
+
+        const logger = config.logger || console;
+        const method = logger === console && level === 'debug' ? 'log' : level;
+        if (typeof logger[method] !== 'function') return;
+        logger[method](`[Gnex] ${message}`, ...(data === undefined ? [] : [data]));
+    },
+
+    /**
+     * Returns the timeline records of recent submissions and loads, oldest first.
+     * A record holds id, kind ('submit' or 'load'), url, method, context, state
+     * ('pending', 'success' or 'error'), status, responseType, cacheHit, attempts,
+     * bytes (Content-Length), error (GnexError kind) and timings ({ start, response,
+     * end, duration } in milliseconds).
+     * @param {Object} [options] - { clear: true } empties the timeline after reading it
+     * @returns {Array<Object>} Copies of the timeline records
+     */
+    inspect(options = {}) {
+        const records = this._timeline.map(record => ({ ...record, timings: { ...record.timings } }));
+        if (options.clear) this._timeline.length = 0;
+        return records;
+    },
+
+    /**
+     * Adds a pending timeline record for a request.
+     * @param {string} url - Target URL
+     * @param {Object} options - Fetch options
+     * @param {HTMLFormElement|null} context - The form context
+     * @returns {Object} Timeline record
+     */
+    _startTimelineRecord(url, options, context) {
+        const record = {
+            id: ++this._timelineId,
+            kind: context ? 'submit' : 'load',
+            url,
+            method: (options.method || 'GET').toUpperCase(),
+            context,
+            state: 'pending',
+            status: null,
+            responseType: null,
+            cacheHit: false,
+            attempts: 0,
+            bytes: null,
+            error: null,
+            timings: { start: Date.now(), response: null, end: null, duration: null }
+        };
+
+        this._timeline.push(record);
+        if (this._timeline.length > this._maxTimelineRecords) this._timeline.shift();
+        return record;
+    },
+
+    /**
+     * Completes a timeline record, logs it and passes a copy to onMetrics.
+     * @param {Object} record - Timeline record
+     * @param {Object} config - Configuration object
+     */
+    _finishTimelineRecord(record, config) {
+        record.timings.end = Date.now();
+        record.timings.duration = record.timings.end - record.timings.start;
+        record.state = record.error ? 'error' : 'success';
+
+        const { context, ...summary } = record;
+        this._log(config, 'info', 'Request finished', summary);
+        if (config.onMetrics) config.onMetrics({ ...record, timings: { ...record.timings } });
+    },
 
     /**
-     * Initializes form handling for elements matching the given selector.
+     * Initializes form handling for elements matching the given selector. Forms
+     * already bound keep their single listener and take the new configuration.
      * @param {string} selector - CSS selector for target forms
      * @param {Object} options - Custom configuration overriding defaults
+     * @returns {Object} Form instance collection with destroy, update, submit, abort and isBusy methods
      */
     form(selector, options) {
         if (!selector || typeof selector !== 'string' || selector.trim() === '') {
             throw new Error('A valid non-empty selector is required.');
         }
 
-        const formConfig = { ...this.defaults, ...options };
-        const formElements = document.querySelectorAll(selector);
+        const formConfig = this._mergeConfig(this.defaults, options);
+        const formElements = Array.from(document.querySelectorAll(selector));
 
         if (formElements.length === 0) {
             console.warn(`The selector "${selector}" does not match any element.`);
-            return;
         }
 
         formElements.forEach(formElement => this._setupFormHandler(formElement, formConfig));
+        return this._createFormCollection(formElements);
     },
 
     /**
-     * Configures a form element with submission handling.
-     * @param {HTMLFormElement} formElement - The form to handle
-     * @param {Object} formConfig - Configuration for this form
+     * Wraps bound forms in an instance collection.
+     * @param {HTMLFormElement[]} formElements - Bound forms
+     * @returns {Object} Collection with forms, length and the instance methods
      */
-    _setupFormHandler(formElement, formConfig) {
-        this._formConfigs.set(formElement, formConfig);
-        let isProcessing = false;
-        let retryAttempts = 0;
+    _createFormCollection(formElements) {
+        const collection = {
+            forms: formElements,
+            length: formElements.length,
 
-        formElement.addEventListener('submit', async (event) => {
-            if (isProcessing) {
-                event.preventDefault();
-                if (formConfig.debug) console.log('[Gnex] Submission already in progress, ignoring.');
-                return;
-            }
+            /**
+             * Removes the submit listeners, stored configurations and pending requests.
+             */
+            destroy: () => formElements.forEach(formElement => this._unbindElement(formElement)),
 
-            event.preventDefault();
-            isProcessing = true;
+            /**
+             * Merges options into the configuration of every bound form.
+             * @param {Object} options - Options to change
+             * @returns {Object} The collection
+             */
+            update: (options) => {
+                formElements.forEach(formElement => {
+                    const formConfig = this._formConfigs.get(formElement);
+                    if (formConfig) this._formConfigs.set(formElement, this._mergeConfig(formConfig, options));
+                });
+                return collection;
+            },
 
-            if (formConfig.validate && typeof formConfig.validate === 'function') {
-                if (!formConfig.validate(formElement)) {
-                    isProcessing = false;
-                    if (formConfig.debug) console.log('[Gnex] Validation failed.');
-                    return;
-                }
-            }
+            /**
+             * Submits every form through Gnex.submit().
+             * @param {Object} overrides - Options for this submission
+             * @returns {Promise<Object[]>} Results in form order
+             */
+            submit: (overrides = {}) => Promise.all(formElements.map(formElement => this.submit(formElement, overrides))),
 
-            const requestMethod = formElement.method || 'POST';
-            let requestData = new FormData(formElement);
+            /**
+             * Cancels the running, queued and debounced submissions.
+             */
+            abort: () => formElements.forEach(formElement => this.cancel(formElement)),
 
-            if (formConfig.transformData) {
-                requestData = formConfig.transformData(requestData) || requestData;
-                if (formConfig.debug) console.log('[Gnex] FormData transformed:', requestData);
-            }
+            /**
+             * Checks whether any form has a submission running or waiting.
+             * @returns {boolean} True when busy
+             */
+            isBusy: () => formElements.some(formElement => this.isBusy(formElement))
+        };
 
-            const abortController = new AbortController();
-            this._abortControllers.set(formElement, abortController);
+        return collection;
+    },
 
-            const requestOptions = {
-                method: requestMethod,
-                body: requestData,
-                headers: formConfig.headers,
-                signal: abortController.signal,
-                redirect: 'manual'
-            };
+    /**
+     * Checks whether a form (or concurrency key) has a request running or waiting.
+     * @param {HTMLFormElement|string} key - Form element or concurrencyKey
+     * @returns {boolean} True when busy
+     */
+    isBusy(key) {
+        const state = this._concurrencyStates.get(key);
+        return !!state && (!!state.current || state.waiting.size > 0 || !!state.debounce);
+    },
 
-            if (formConfig.beforeSend && formConfig.beforeSend(formElement, requestData, requestOptions) === false) {
-                isProcessing = false;
-                if (formConfig.resetLoadingState) formConfig.resetLoadingState(formElement);
-                if (formConfig.debug) console.log('[Gnex] Submission cancelled by beforeSend.');
-                return;
-            }
+    /**
+     * Removes every binding made by form() and bind(), stops all observers and
+     * cancels the requests of bound elements. Meant for SPA route changes.
+     */
+    destroyAll() {
+        [...this._observers.keys()].forEach(root => this.disconnect(root));
+        [...this._boundElements].forEach(element => this._unbindElement(element));
+    },
 
-            if (formConfig.setLoadingState) formConfig.setLoadingState(formElement);
+    /**
+     * Binds every form and link configured through data-gnex-* attributes inside root.
+     * @param {Element|Document} root - Element to scan (included when it matches itself)
+     * @param {Object} options - Base configuration; attribute values take precedence
+     * @returns {number} Number of newly bound elements
+     */
+    bind(root = document, options = {}) {
+        let boundCount = 0;
 
-            if (!formConfig.async) {
-                if (formConfig.debug) console.log('[Gnex] Submitting form synchronously.');
-                formElement.submit();
-                return;
-            }
+        this._collectDeclarative(root).forEach(element => {
+            if (this._boundListeners.has(element)) return;
 
-            const cacheKey = `${requestMethod}:${formElement.action}:${JSON.stringify([...requestData.entries()])}`;
-            if (formConfig.cache && this._responseCache.has(cacheKey)) {
-                const cachedResponse = this._responseCache.get(cacheKey);
-                if (Date.now() < cachedResponse.expires) {
-                    if (formConfig.debug) console.log('[Gnex] Serving from cache:', cachedResponse.data);
-                    if (formConfig.onSuccess) formConfig.onSuccess(cachedResponse.responseType, formElement, cachedResponse.data);
-                    isProcessing = false;
-                    if (formConfig.resetLoadingState) formConfig.resetLoadingState(formElement);
-                    return;
-                } else {
-                    this._responseCache.delete(cacheKey);
-                }
+            const baseConfig = this._mergeConfig(this.defaults, options);
+            const elementConfig = this._mergeConfig(baseConfig, this._parseAttributes(element, baseConfig));
+
+            if (element.tagName === 'FORM') {
+                this._setupFormHandler(element, elementConfig);
+            } else {
+                this._setupLinkHandler(element, elementConfig);
             }
+            boundCount++;
+        });
 
-            const executeSubmission = async () => {
-                try {
-                    if (formConfig.debug) console.log('[Gnex] Starting submission:', { method: requestMethod, action: formElement.action });
+        if (boundCount > 0) this._log(this._mergeConfig(this.defaults, options), 'debug', 'Bound declarative elements', { count: boundCount });
+        return boundCount;
+    },
 
-                    const timeoutSignal = formConfig.timeout > 0 ? AbortSignal.timeout(formConfig.timeout) : null;
-                    const combinedSignal = timeoutSignal ? AbortSignal.any([abortController.signal, timeoutSignal]) : abortController.signal;
+    /**
+     * Removes handlers from declaratively bound elements inside root and aborts their requests.
+     * @param {Element|Document} root - Element to scan (included when it matches itself)
+     */
+    unbind(root = document) {
+        this._collectDeclarative(root).forEach(element => this._unbindElement(element));
+    },
 
-                    const response = await fetch(formElement.action, { ...requestOptions, signal: combinedSignal });
+    /**
+     * Removes the listener and configuration of a bound element and aborts its requests.
+     * @param {Element} element - Bound form or link
+     */
+    _unbindElement(element) {
+        const binding = this._boundListeners.get(element);
+        if (!binding) return;
 
-                    if (!response.ok) {
-                        throw new Error(`HTTP ${response.status}`);
-                    }
+        element.removeEventListener(binding.type, binding.listener);
+        if (binding.cleanup) binding.cleanup();
+        this._boundListeners.delete(element);
+        this._boundElements.delete(element);
+        this._formConfigs.delete(element);
+        this.cancel(element);
+    },
 
-                    const contentType = response.headers.get('Content-Type') || '';
-                    let responseType, responseData;
+    /**
+     * Binds declarative elements inside root and keeps watching it, binding inserted
+     * elements and unbinding removed ones.
+     * @param {Element} root - Element to observe
+     * @param {Object} options - Base configuration passed to bind()
+     * @returns {Object} Control object with disconnect method
+     */
+    observe(root = document.body, options = {}) {
+        const disconnect = () => this.disconnect(root);
+        if (this._observers.has(root)) return { disconnect };
 
-                    if (formConfig.sse && contentType.includes('text/event-stream')) {
-                        await this._processSseStream(response, formElement, formConfig);
-                        return;
-                    }
+        this.bind(root, options);
 
-                    if (contentType.startsWith('application/json')) {
-                        responseType = 'json';
-                        responseData = await response.json();
-                    } else if (response.headers.get('X-Partial-View') === 'true') {
-                        responseType = 'x-html';
-                        responseData = await response.text();
-                    } else if (response.status >= 300 && response.status < 400) {
-                        responseType = 'redirect';
-                        responseData = response.headers.get('Location') || 'unknown';
-                    } else {
-                        responseType = 'full-html';
-                        responseData = await response.text();
-                    }
+        const observer = new MutationObserver(mutations => {
+            for (const mutation of mutations) {
+                mutation.removedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE && !node.isConnected) this.unbind(node);
+                });
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) this.bind(node, options);
+                });
+            }
+        });
 
-                    if (!formConfig.sse && responseType && responseData) {
-                        if (formConfig.cache) {
-                            const expires = typeof formConfig.cache === 'number' ? Date.now() + formConfig.cache * 1000 : Infinity;
-                            this._responseCache.set(cacheKey, { responseType, data: responseData, expires });
-                            if (formConfig.debug) console.log('[Gnex] Cached response:', { responseType, responseData });
-                        }
-                        if (formConfig.onSuccess) formConfig.onSuccess(responseType, formElement, responseData);
-                        if (formConfig.debug) console.log('[Gnex] Success:', { responseType, responseData });
-                    }
-                } catch (error) {
-                    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
-                        if (formConfig.onError) formConfig.onError(error.name === 'TimeoutError' ? 'timeout' : 'aborted', formElement, error);
-                        if (formConfig.debug) console.log('[Gnex] Error:', error.name);
-                        return;
-                    }
+        observer.observe(root, { childList: true, subtree: true });
+        this._observers.set(root, observer);
+        this._log(this._mergeConfig(this.defaults, options), 'debug', 'Observing root for declarative elements', { root });
 
-                    if (retryAttempts < formConfig.retryCount) {
-                        retryAttempts++;
-                        if (formConfig.debug) console.log(`[Gnex] Retry attempt ${retryAttempts}/${formConfig.retryCount}`);
-                        await executeSubmission();
-                        return;
-                    }
+        return { disconnect };
+    },
 
-                    if (formConfig.onError) formConfig.onError('request', formElement, error.message);
-                    if (formConfig.debug) console.log('[Gnex] Error:', error.message);
-                } finally {
-                    isProcessing = false;
-                    this._abortControllers.delete(formElement);
-                    if (formConfig.resetLoadingState) formConfig.resetLoadingState(formElement);
-                }
-            };
+    /**
+     * Stops observing a root previously passed to observe(). Bound elements stay bound.
+     * @param {Element} root - Observed element
+     */
+    disconnect(root = document.body) {
+        const observer = this._observers.get(root);
+        if (observer) {
+            observer.disconnect();
+            this._observers.delete(root);
+        }
+    },
 
-            if (formConfig.onProgress && requestData.hasFiles() && !formConfig.sse) {
-                await this._handleProgressTracking(formElement, formConfig, requestOptions, executeSubmission);
-            } else {
-                await executeSubmission();
-            }
-        });
+    /**
+     * Collects declarative elements inside root, including root itself.
+     * @param {Element|Document} root - Element to scan
+     * @returns {Element[]} Matching elements
+     */
+    _collectDeclarative(root) {
+        const elements = [...root.querySelectorAll(this._declarativeSelector)];
+        if (root.matches && root.matches(this._declarativeSelector)) elements.unshift(root);
+        return elements;
     },
 
     /**
-     * Processes Server-Sent Events from a response stream.
-     * @param {Response} response - Fetch response object
-     * @param {HTMLFormElement} formElement - The form context
-     * @param {Object} formConfig - Configuration object
+     * Parses data-gnex-* attributes into configuration options.
+     * Values are coerced: "true"/"false"/empty to booleans, numeric strings to numbers,
+     * JSON objects/arrays to objects, and callback options to global functions.
+     * @param {Element} element - Element carrying the attributes
+     * @param {Object} [config] - Configuration used for logging
+     * @returns {Object} Partial configuration in the formConfig shape
      */
-    _processSseStream(response, formElement, formConfig) {
-        const reader = response.body.getReader();
-        let eventBuffer = '';
-
-        return new Promise(resolve => {
-            const processStream = async () => {
-                while (true) {
-                    const { done, value } = await reader.read();
-                    if (done) break;
-
-                    eventBuffer += new TextDecoder().decode(value);
-                    const events = eventBuffer.split('\n\n');
-
-                    for (let i = 0; i < events.length - 1; i++) {
-                        const eventText = events[i].trim();
-                        if (!eventText) continue;
-
-                        const lines = eventText.split('\n');
-                        let eventType = 'message';
-                        let dataLines = [];
-
-                        for (const line of lines) {
-                            if (line.startsWith('event:')) {
-                                eventType = line.slice(6).trim();
-                            } else if (line.startsWith('data:')) {
-                                dataLines.push(line.slice(5));
-                            }
-                        }
+    _parseAttributes(element, config = this.defaults) {
+        const parsedOptions = {};
 
-                        const eventData = dataLines.join('\n').trim();
-                        if (!eventData) continue;
-
-                        if (formConfig.debug) console.log(`[Gnex] SSE Event: ${eventType}`, eventData);
-
-                        switch (eventType) {
-                            case 'progress':
-                                if (formConfig.onProgress) formConfig.onProgress(formElement, eventData);
-                                break;
-                            case 'done':
-                                try {
-                                    const jsonData = JSON.parse(eventData);
-                                    if (formConfig.onSuccess) formConfig.onSuccess('json', formElement, jsonData);
-                                } catch (e) {
-                                    if (formConfig.debug) console.warn('[Gnex] SSE JSON Parse Error:', e);
-                                    if (formConfig.onError) formConfig.onError('sse-parse', formElement, e);
-                                }
-                                break;
-                            default:
-                                if (formConfig.debug) console.log(`[Gnex] Unhandled SSE event: ${eventType}`, eventData);
-                                break;
-                        }
-                    }
+        for (const { name, value } of element.attributes) {
+            if (!name.startsWith('data-gnex-')) continue;
 
-                    eventBuffer = events[events.length - 1];
-                }
+            const optionName = name.slice(10).replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+            const rawValue = value.trim();
 
-                if (eventBuffer.trim()) {
-                    this._processFinalSseEvent(eventBuffer, formElement, formConfig);
+            if (this._callbackOptions.includes(optionName)) {
+                const callback = rawValue.split('.').reduce((scope, key) => (scope == null ? undefined : scope[key]), window);
+                if (typeof callback === 'function') {
+                    parsedOptions[optionName] = callback;
+                } else {
+                    this._log(config, 'warn', 'Attribute value is not a global function', { attribute: name, value: rawValue });
                 }
-                resolve();
-            };
+            } else if (rawValue === '' || rawValue === 'true') {
+                parsedOptions[optionName] = true;
+            } else if (rawValue === 'false') {
+                parsedOptions[optionName] = false;
+            } else if (/^-?\d+(\.\d+)?$/.test(rawValue)) {
+                parsedOptions[optionName] = Number(rawValue);
+            } else if (/^[[{]/.test(rawValue)) {
+                try {
+                    parsedOptions[optionName] = JSON.parse(rawValue);
+                } catch (e) {
+                    this._log(config, 'warn', 'Invalid JSON in attribute', { attribute: name, error: e });
+                }
+            } else {
+                parsedOptions[optionName] = rawValue;
+            }
+        }
 
-            processStream();
-        });
+        return parsedOptions;
     },
 
     /**
-     * Handles any remaining SSE event after stream ends.
-     * @param {string} eventBuffer - Remaining buffer content
-     * @param {HTMLFormElement} formElement - The form context
-     * @param {Object} formConfig - Configuration object
+     * Configures a link element to load its href through load() on click.
+     * @param {HTMLAnchorElement} linkElement - The link to handle
+     * @param {Object} linkConfig - Configuration for this link
      */
-    _processFinalSseEvent(eventBuffer, formElement, formConfig) {
-        const lines = eventBuffer.split('\n');
-        let eventType = 'message';
-        let dataLines = [];
-
-        for (const line of lines) {
-            if (line.startsWith('event:')) {
-                eventType = line.slice(6).trim();
-            } else if (line.startsWith('data:')) {
-                dataLines.push(line.slice(5));
-            }
-        }
-
-        const eventData = dataLines.join('\n').trim();
-        if (eventData) {
-            if (formConfig.debug) console.log(`[Gnex] SSE Final Event: ${eventType}`, eventData);
-            switch (eventType) {
-                case 'progress':
-                    if (formConfig.onProgress) formConfig.onProgress(formElement, eventData);
-                    break;
-                case 'done':
-                    try {
-                        const jsonData = JSON.parse(eventData);
-                        if (formConfig.onSuccess) formConfig.onSuccess('json', formElement, jsonData);
-                    } catch (e) {
-                        if (formConfig.debug) console.warn('[Gnex] SSE JSON Parse Error:', e);
-                        if (formConfig.onError) formConfig.onError('sse-parse', formElement, e);
-                    }
-                    break;
-                default:
-                    if (formConfig.debug) console.log(`[Gnex] Unhandled SSE final event: ${eventType}`, eventData);
-                    break;
-            }
-        }
+    _setupLinkHandler(linkElement, linkConfig) {
+        this._formConfigs.set(linkElement, linkConfig);
+
+        const listener = (event) => {
+            if (!this._isNavigableClick(event, linkElement)) return;
+            event.preventDefault();
+            this._log(linkConfig, 'debug', 'Loading link', { url: linkElement.href });
+            this.load(linkElement.href, linkConfig);
+        };
+
+        linkElement.addEventListener('click', listener);
+        this._boundListeners.set(linkElement, { type: 'click', listener });
+        this._boundElements.add(linkElement);
     },
 
     /**
-     * Tracks upload progress for forms with files.
-     * @param {HTMLFormElement} formElement - The form context
-     * @param {Object} formConfig - Configuration object
-     * @param {Object} requestOptions - Fetch options
-     * @param {Function} executeSubmission - Submission function
+     * Configures a form element with submission handling.
+     * @param {HTMLFormElement} formElement - The form to handle
+     * @param {Object} formConfig - Configuration for this form
      */
-    _handleProgressTracking(formElement, formConfig, requestOptions, executeSubmission) {
-        const totalSize = [...requestOptions.body.entries()].reduce((acc, [_, value]) => acc + (value.size || 0), 0);
-        if (totalSize <= 0) return executeSubmission();
+    _setupFormHandler(formElement, formConfig) {
+        this._formConfigs.set(formElement, formConfig);
+        if (formConfig.offline) this.queue.listen();
+        if (this._boundListeners.has(formElement)) return;
 
-        let uploadedBytes = 0;
-        const proxyFetch = async () => {
-            const response = await fetch(formElement.action, requestOptions);
-            const reader = response.body.getReader();
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-                uploadedBytes += value.length;
-                const progressPercent = Math.min(100, Math.round((uploadedBytes / totalSize) * 100));
-                formConfig.onProgress(formElement, progressPercent);
-                if (formConfig.debug) console.log('[Gnex] Upload progress:', progressPercent + '%');
+        const listener = (event) => {
+            event.preventDefault();
+            const currentConfig = this._formConfigs.get(formElement) || formConfig;
+            this._submitForm(formElement, currentConfig, event.submitter || null).catch(() => {});
+        };
+
+        const liveListener = (event) => {
+            const currentConfig = this._formConfigs.get(formElement) || formConfig;
+            const field = event.target;
+            if (!currentConfig.liveValidation || !field.name || !this._getValidatableFields(formElement).includes(field)) return;
+
+            const marks = this._validationMarks.get(formElement);
+            const isMarked = !!marks && marks.fields.includes(field);
+            if (event.type === 'focusout' || currentConfig.liveValidation === 'input' || isMarked) {
+                this._validateLive(formElement, field, currentConfig);
             }
-            return response;
         };
 
-        requestOptions.signal = null;
-        return proxyFetch().then(response => {
-            requestOptions.signal = this._abortControllers.get(formElement).signal;
-            Object.defineProperty(response, 'body', { value: response.body });
-            return executeSubmission();
+        formElement.addEventListener('submit', listener);
+        formElement.addEventListener('focusout', liveListener);
+        formElement.addEventListener('input', liveListener);
+        this._boundListeners.set(formElement, {
+            type: 'submit',
+            listener,
+            cleanup: () => {
+                formElement.removeEventListener('focusout', liveListener);
+                formElement.removeEventListener('input', liveListener);
+            }
         });
+        this._boundElements.add(formElement);
     },
 
     /**
-     * Performs a standalone AJAX request.
-     * @param {string} url - Target URL
-     * @param {Object} options - Custom configuration
-     * @returns {Object} Control object with cancel method
+     * Submits a form programmatically through the same pipeline as a user submit.
+     * Unbound forms are submitted asynchronously with the defaults.
+     * @param {HTMLFormElement} formElement - The form to submit
+     * @param {Object} overrides - Options overriding the form configuration for this submission
+     *                             (submitter: the button submitting the form)
+     * @returns {Object} Thenable handle with cancel method, resolving to { type, data, response }
+     *                   and rejecting with a GnexError
      */
-    load(url, options = {}) {
-        const requestConfig = { ...this.defaults, ...options, async: true };
+    submit(formElement, overrides = {}) {
+        if (!(formElement instanceof HTMLFormElement)) {
+            throw new Error('A form element is required.');
+        }
+
+        const { submitter = null, ...options } = overrides;
+        const baseConfig = this._formConfigs.get(formElement) || { ...this.defaults, async: true };
+        const promise = this._submitForm(formElement, this._mergeConfig(baseConfig, options), submitter);
+        return this._createRequestHandle(promise, () => this.cancel(formElement));
+    },
+
+    /**
+     * Submits a form according to its concurrency strategy.
+     * @param {HTMLFormElement} formElement - The form to submit
+     * @param {Object} formConfig - Configuration for this submission
+     * @param {HTMLElement|null} [submitter] - Button that submitted the form
+     * @returns {Promise<Object>} Resolves to { type, data, response }, rejects with a GnexError
+     */
+    _submitForm(formElement, formConfig, submitter = null) {
         const abortController = new AbortController();
-        const requestId = `gnex-load-${Date.now()}`;
-        const requestContext = { id: requestId };
 
-        this._abortControllers.set(requestContext, abortController);
+        return this._schedule({
+            key: formElement,
+            abortKey: formElement,
+            config: formConfig,
+            abortController,
+            task: () => this._performSubmit(formElement, formConfig, abortController, submitter)
+        });
+    },
+
+    /**
+     * Runs validation, data preparation, cache lookup and the request for a form.
+     * @param {HTMLFormElement} formElement - The form to submit
+     * @param {Object} formConfig - Configuration for this submission
+     * @param {AbortController} abortController - Controller registered for this submission
+     * @param {HTMLElement|null} submitter - Button that submitted the form; its name=value is sent
+     *                                       and its formaction/formmethod/formenctype take precedence
+     * @returns {Promise<Object>} Resolves to { type, data, response }, rejects with a GnexError
+     */
+    async _performSubmit(formElement, formConfig, abortController, submitter) {
+        this._clearValidationErrors(formElement);
+
+        if (formConfig.clientValidation && !(submitter && submitter.hasAttribute('formnovalidate'))) {
+            let validationErrors = this._checkForm(formElement, formConfig);
+            if (validationErrors && typeof validationErrors.then === 'function') validationErrors = await validationErrors;
+            if (validationErrors) {
+                this._applyValidationErrors(formElement, { errors: validationErrors }, formConfig);
+                if (formConfig.onInvalid) formConfig.onInvalid(validationErrors, formElement);
+                this._dispatchEvent(formConfig, formElement, 'invalid', { errors: validationErrors });
+                this._log(formConfig, 'debug', 'Client-side validation failed', { errors: validationErrors });
+                throw new GnexError('cancelled', 'Validation failed.', { details: validationErrors });
+            }
+        }
+
+        if (formConfig.validate && typeof formConfig.validate === 'function') {
+            if (!formConfig.validate(formElement)) {
+                this._log(formConfig, 'debug', 'Validation failed');
+                throw new GnexError('cancelled', 'Validation failed.');
+            }
+        }
+
+        const requestMethod = ((submitter && submitter.getAttribute('formmethod')) || formElement.method || 'POST').toUpperCase();
+        const isQueryMethod = requestMethod === 'GET' || requestMethod === 'HEAD';
+        const requestAction = submitter && submitter.hasAttribute('formaction')
+            ? new URL(submitter.getAttribute('formaction'), document.baseURI).href
+            : formElement.action;
+        const requestEncoding = this._encodingFromEnctype(submitter && submitter.getAttribute('formenctype')) || formConfig.encoding;
+        let requestData = new FormData(formElement);
+
+        if (submitter && submitter.name && !submitter.disabled) {
+            requestData.append(submitter.name, submitter.value || '');
+        }
+
+        if (formConfig.transformData) {
+            requestData = formConfig.transformData(requestData) || requestData;
+            this._log(formConfig, 'debug', 'FormData transformed', { data: requestData });
+        }
 
         const requestOptions = {
-            method: requestConfig.method,
-            headers: requestConfig.headers,
+            method: requestMethod,
+            headers: { ...formConfig.headers },
             signal: abortController.signal,
             redirect: 'manual'
         };
+        if (!isQueryMethod) this._applyBody(requestOptions, requestData, requestEncoding, formElement, formConfig);
+        const requestUrl = isQueryMethod ? this._buildUrl(requestAction, requestData) : requestAction;
 
-        if (requestConfig.beforeSend && requestConfig.beforeSend(null, null, requestOptions) === false) {
-            if (requestConfig.resetLoadingState) requestConfig.resetLoadingState(null);
-            if (requestConfig.debug) console.log('[Gnex] Load cancelled by beforeSend.');
-            return { cancel: () => this.cancel(requestContext) };
+        const sendAllowed = !(formConfig.beforeSend && formConfig.beforeSend(formElement, requestData, requestOptions) === false)
+            && this._dispatchEvent(formConfig, formElement, 'before-send', { url: requestUrl, data: requestData, options: requestOptions }, true);
+        if (!sendAllowed) {
+            this._abortControllers.delete(formElement);
+            if (formConfig.resetLoadingState) formConfig.resetLoadingState(formElement);
+            this._log(formConfig, 'debug', 'Submission cancelled by beforeSend');
+            throw new GnexError('cancelled', 'Submission cancelled by beforeSend.');
         }
 
-        (async () => {
-            try {
-                if (requestConfig.setLoadingState) requestConfig.setLoadingState(null);
-
-                const response = await fetch(url, requestOptions);
-                if (!response.ok) throw new Error(`HTTP ${response.status}`);
-
-                const contentType = response.headers.get('Content-Type') || '';
-                let responseType, responseData;
+        if (formConfig.setLoadingState) formConfig.setLoadingState(formElement);
 
-                if (requestConfig.sse && contentType.includes('text/event-stream')) {
-                    await this._processSseStream(response, null, requestConfig);
-                    return;
-                }
+        if (!formConfig.async) {
+            this._log(formConfig, 'debug', 'Submitting form synchronously');
+            this._abortControllers.delete(formElement);
+            formElement.submit();
+            return { type: 'native', data: null, response: null };
+        }
 
-                if (contentType.includes('application/json')) {
-                    responseType = 'json';
-                    responseData = await response.json();
-                } else if (response.headers.get('X-Partial-View') === 'true') {
-                    responseType = 'x-html';
-                    responseData = await response.text();
-                } else {
-                    responseType = 'text';
-                    responseData = await response.text();
-                }
+        if (formConfig.loadingState) this._applyLoadingState(formElement, formConfig, submitter);
 
-                if (requestConfig.onSuccess) requestConfig.onSuccess(responseType, null, responseData);
-            } catch (error) {
-                if (requestConfig.onError) requestConfig.onError('request', null, error);
-            } finally {
-                this._abortControllers.delete(requestContext);
-                if (requestConfig.resetLoadingState) requestConfig.resetLoadingState(null);
+        let outcome = {};
+        try {
+            if (formConfig.chunkedUpload && !isQueryMethod && requestData instanceof FormData && requestData.hasFiles()) {
+                await this._uploadFormFiles(requestData, requestUrl, formConfig, formElement, abortController.signal);
+                this._applyBody(requestOptions, requestData, requestEncoding, formElement, formConfig);
             }
-        })();
 
-        return { cancel: () => this.cancel(requestContext) };
+            outcome.result = await this._request({
+                url: requestUrl,
+                options: requestOptions,
+                config: formConfig,
+                context: formElement,
+                abortKey: formElement,
+                abortController
+            });
+            return outcome.result;
+        } catch (error) {
+            outcome = { error };
+            throw error;
+        } finally {
+            if (formConfig.loadingState) this._clearLoadingState(formElement, formConfig);
+            if (formConfig.resetLoadingState) formConfig.resetLoadingState(formElement);
+            this._dispatchEvent(formConfig, formElement, 'complete', outcome);
+        }
     },
 
     /**
-     * Cancels an ongoing request.
-     * @param {Object|HTMLFormElement} context - Form element or request context
+     * Maps a formenctype value to an encoding option.
+     * @param {string|null} enctype - MIME type from formenctype
+     * @returns {string|null} 'multipart', 'urlencoded', 'json' or null when unknown
      */
-    cancel(context) {
-        const controller = this._abortControllers.get(context);
-        if (controller) {
-            controller.abort();
-            this._abortControllers.delete(context);
+    _encodingFromEnctype(enctype) {
+        const encodings = {
+            'multipart/form-data': 'multipart',
+            'application/x-www-form-urlencoded': 'urlencoded',
+            'application/json': 'json'
+        };
+        return encodings[(enctype || '').toLowerCase()] || null;
+    },
+
+    /**
+     * Puts a form in its loading state: enabled controls are disabled, aria-busy
+     * and loadingClass are set, and the submitter shows its data-gnex-loading-text.
+     * Overlapping submissions share the state until the last one ends. Controls
+     * stay enabled with the replace, queue and debounce strategies, where the
+     * user keeps editing and newer submissions must read every field.
+     * @param {HTMLFormElement} formElement - The submitting form
+     * @param {Object} config - Configuration object
+     * @param {HTMLElement|null} submitter - Button that submitted the form
+     */
+    _applyLoadingState(formElement, config, submitter) {
+        const loadingState = this._loadingStates.get(formElement);
+        if (loadingState) {
+            loadingState.count++;
+            return;
+        }
+
+        const disabledControls = this._parseConcurrency(config.concurrency).strategy !== 'drop' ? [] : Array.from(formElement.elements)
+            .filter(control => control.tagName !== 'FIELDSET' && 'disabled' in control && !control.disabled);
+        disabledControls.forEach(control => { control.disabled = true; });
+
+        let submitterText = null;
+        const loadingText = submitter && submitter.getAttribute('data-gnex-loading-text');
+        if (loadingText) {
+            const isInput = submitter.tagName === 'INPUT';
+            submitterText = isInput ? submitter.value : submitter.innerHTML;
+            if (isInput) {
+                submitter.value = loadingText;
+            } else {
+                submitter.textContent = loadingText;
+            }
         }
+
+        formElement.setAttribute('aria-busy', 'true');
+        if (config.loadingClass) formElement.classList.add(config.loadingClass);
+
+        this._loadingStates.set(formElement, { count: 1, disabledControls, submitter, submitterText });
     },
 
     /**
-     * Triggers success callback for a form.
-     * @param {HTMLFormElement} formElement - The form context
-     * @param {string} responseType - Type of response
-     * @param {any} responseData - Response data
+     * Restores what _applyLoadingState changed once no submission of the form is running.
+     * @param {HTMLFormElement} formElement - The form
+     * @param {Object} config - Configuration object
      */
-    _handleSuccess(formElement, responseType, responseData) {
-        const config = this._formConfigs.get(formElement) || this.defaults;
-        if (config.onSuccess) config.onSuccess(responseType, formElement, responseData);
+    _clearLoadingState(formElement, config) {
+        const loadingState = this._loadingStates.get(formElement);
+        if (!loadingState || --loadingState.count > 0) return;
+
+        loadingState.disabledControls.forEach(control => { control.disabled = false; });
+        if (loadingState.submitterText !== null) {
+            if (loadingState.submitter.tagName === 'INPUT') {
+                loadingState.submitter.value = loadingState.submitterText;
+            } else {
+                loadingState.submitter.innerHTML = loadingState.submitterText;
+            }
+        }
+
+        formElement.removeAttribute('aria-busy');
+        if (config.loadingClass) formElement.classList.remove(config.loadingClass);
+        this._loadingStates.delete(formElement);
     },
 
     /**
-     * Triggers error callback for a form.
-     * @param {HTMLFormElement} formElement - The form context
-     * @param {string} errorType - Type of error
-     * @param {any} errorDetails - Error details
+     * Runs a request task according to the concurrency strategy of its key:
+     * 'drop' rejects while another request is in flight, 'replace' aborts the
+     * in-flight request, 'queue' waits for the previous requests and
+     * { debounce: ms } runs only the last call of a burst, replacing the in-flight
+     * request. Superseded requests reject with a 'cancelled' GnexError.
+     * @param {Object} params - Scheduling parameters
+     * @param {Object|string} params.key - Concurrency key (form element or concurrencyKey)
+     * @param {Object} params.abortKey - Key under which abortController is registered when the task starts
+     * @param {Object} params.config - Configuration object
+     * @param {AbortController} params.abortController - Controller cancelling this request
+     * @param {Function} params.task - Starts the request and returns its promise
+     * @returns {Promise<Object>} Result of the task
      */
-    _handleError(formElement, errorType, errorDetails) {
-        const config = this._formConfigs.get(formElement) || this.defaults;
-        if (config.onError) config.onError(errorType, formElement, errorDetails);
-    }
-};
+    _schedule({ key, abortKey, config, abortController, task }) {
+        const { strategy, delay } = this._parseConcurrency(config.concurrency);
+        let state = this._concurrencyStates.get(key);
+        if (!state) {
+            state = { current: null, tail: Promise.resolve(), waiting: new Set(), debounce: null };
+            this._concurrencyStates.set(key, state);
+        }
 
+        const release = () => {
+            if (!state.current && state.waiting.size === 0 && !state.debounce && this._concurrencyStates.get(key) === state) {
+                this._concurrencyStates.delete(key);
+            }
+        };
 
+        const start = () => {
+            if (abortController.signal.aborted) {
+                release();
+                return Promise.reject(this._toGnexError(abortController.signal.reason));
+            }
+            if (strategy !== 'queue' && state.current) {
+                this._log(config, 'debug', 'Replacing the in-flight request');
+                state.current.controller.abort(new GnexError('cancelled', 'Superseded by a newer request.'));
+            }
 
-/**
- * Checks if FormData contains files.
- * @returns {boolean} True if files are present
- */
-FormData.prototype.hasFiles = function () {
+            this._abortControllers.set(abortKey, abortController);
+            const entry = { controller: abortController };
+            entry.promise = task();
+            state.current = entry;
+
+            const settle = () => {
+                if (state.current === entry) state.current = null;
+                release();
+            };
+            entry.promise.then(settle, settle);
+            return entry.promise;
+        };
+
+        const wait = (ready) => new Promise((resolve, reject) => {
+            const onAbort = () => {
+                state.waiting.delete(abortController);
+                if (ready.cancel) ready.cancel();
+                release();
+                reject(this._toGnexError(abortController.signal.reason));
+            };
+
+            state.waiting.add(abortController);
+            abortController.signal.addEventListener('abort', onAbort, { once: true });
+            ready.promise.then(() => {
+                if (abortController.signal.aborted) return;
+                abortController.signal.removeEventListener('abort', onAbort);
+                state.waiting.delete(abortController);
+                resolve();
+            });
+        });
+
+        if (strategy === 'queue') {
+            const run = wait({ promise: state.tail }).then(start);
+            state.tail = run.then(() => {}, () => {});
+            return run;
+        }
+
+        if (strategy === 'debounce') {
+            if (state.debounce) state.debounce.abort(new GnexError('cancelled', 'Superseded by a newer request.'));
+
+            let timer;
+            const timerPromise = new Promise(resolve => { timer = setTimeout(resolve, delay); });
+            state.debounce = abortController;
+            const clearDebounce = () => {
+                if (state.debounce === abortController) state.debounce = null;
+            };
+
+            return wait({ promise: timerPromise, cancel: () => { clearTimeout(timer); clearDebounce(); } })
+                .then(() => {
+                    clearDebounce();
+                    return start();
+                });
+        }
+
+        if (strategy === 'drop' && state.current) {
+            this._log(config, 'debug', 'Request already in progress, ignoring');
+            return Promise.reject(new GnexError('cancelled', 'Request already in progress.'));
+        }
+
+        return start();
+    },
+
+    /**
+     * Normalizes the concurrency option.
+     * @param {string|Object} concurrency - 'drop', 'replace', 'queue', 'debounce:ms' or { debounce: ms }
+     * @returns {Object} { strategy, delay }
+     */
+    _parseConcurrency(concurrency) {
+        if (concurrency && typeof concurrency === 'object' && 'debounce' in concurrency) {
+            return { strategy: 'debounce', delay: Number(concurrency.debounce) || 0 };
+        }
+
+        const [strategy, delay] = String(concurrency || 'drop').split(':').map(part => part.trim());
+        if (strategy === 'debounce') return { strategy, delay: Number(delay) || 0 };
+        return { strategy: ['replace', 'queue'].includes(strategy) ? strategy : 'drop', delay: 0 };
+    },
+
+    /**
+     * Sends a request through the interceptors, transport and retry policy, then
+     * classifies, caches and swaps the response and runs the callbacks. Shared by
+     * form submissions and load().
+     * @param {Object} params - Request parameters
+     * @param {string} params.url - Target URL
+     * @param {Object} params.options - Fetch options (signal from abortController)
+     * @param {Object} params.config - Configuration object
+     * @param {HTMLFormElement|null} params.context - The form context
+     * @param {Object} params.abortKey - Key under which abortController is registered
+     * @param {AbortController} params.abortController - Controller cancelling this request
+     * @param {boolean} [params.revalidate] - Skips the cache lookup (background refresh)
+     * @param {number} [params.redirectCount] - Redirects already followed in navigation mode
+     * @param {Object} [params.record] - Timeline record of the request being redirected
+     * @returns {Promise<Object>} Resolves to { type, data, response, cached }, rejects with a GnexError
+     */
+    async _request({ url, options, config, context, abortKey, abortController, revalidate = false, redirectCount = 0, record = null }) {
+        let request = null;
+        const timelineRecord = record || this._startTimelineRecord(url, options, context);
+
+        if (config.offline) this.queue.listen();
+        if (config.navigate) options = { ...options, redirect: 'follow' };
+        const queueOptions = options; // Queued requests get a fresh CSRF token when replayed
+        options = this._applyRequestSecurity(url, options, config);
+
+        try {
+            const cacheKey = this._getCacheKey(url, options, config, context);
+            if (cacheKey && !revalidate) {
+                const cachedEntry = await this._readCache(cacheKey, config);
+                if (cachedEntry) {
+                    this._log(config, 'debug', 'Serving from cache', { url, stale: cachedEntry.stale, data: cachedEntry.data });
+                    Object.assign(timelineRecord, { cacheHit: true, responseType: cachedEntry.responseType });
+                    if (cachedEntry.stale) this._revalidate(url, options, config, context);
+                    this._deliverResponse(cachedEntry.responseType, cachedEntry.data, context, config, this._getHistoryUrl(url, options, null, config), null);
+                    return { type: cachedEntry.responseType, data: cachedEntry.data, response: null, cached: true };
+                }
+            }
+
+            if (config.offline && !revalidate && this._isQueueable(options, config) && navigator.onLine === false) {
+                timelineRecord.responseType = 'queued';
+                return await this._enqueueRequest(url, queueOptions, config, context);
+            }
+
+            this._log(config, 'debug', 'Starting request', { method: options.method, url });
+
+            request = await this.interceptors.request.run({
+                url,
+                options: { ...options, headers: { ...options.headers }, signal: this._createRequestSignal(abortController.signal, config.timeout) },
+                config,
+                context
+            });
+            if (request === false) {
+                this._log(config, 'debug', 'Request cancelled by request interceptor');
+                throw new GnexError('cancelled', 'Request cancelled by request interceptor.');
+            }
+
+            this._dispatchEvent(config, context, 'send', { request });
+            const response = await this._sendWithRetry(request, config, context, timelineRecord);
+            const contentLength = response.headers.get('Content-Length');
+            Object.assign(timelineRecord, { status: response.status, bytes: contentLength === null ? null : Number(contentLength) });
+            timelineRecord.timings.response = Date.now();
+            this._refreshCsrfToken(response, request.url, config);
+
+            const isRedirect = response.type === 'opaqueredirect' || (response.status >= 300 && response.status < 400);
+            if (!response.ok && !isRedirect) {
+                const validationErrors = await this._parseValidationErrors(response);
+                if (validationErrors && context) this._applyValidationErrors(context, validationErrors, config);
+                throw new GnexError('http', `HTTP ${response.status}`, { status: response.status, response, details: validationErrors });
+            }
+
+            const contentType = response.headers.get('Content-Type') || '';
+            if (config.sse && contentType.includes('text/event-stream')) {
+                timelineRecord.responseType = 'sse';
+                const streamState = await this._processSseStream(response, context, config);
+                return { type: 'sse', data: streamState, response };
+            }
+
+            let { type: responseType, data: responseData } = await this._classifyResponse(response, context, config);
+            timelineRecord.responseType = responseType;
+
+            const redirectUrl = config.navigate
+                ? response.headers.get('X-Gnex-Redirect') || (responseType === 'redirect' && responseData !== 'unknown' ? responseData : null)
+                : null;
+            if (redirectUrl) {
+                if (redirectCount >= 10) throw new GnexError('network', 'Too many redirects.');
+                this._log(config, 'debug', 'Following redirect', { url: redirectUrl });
+
+                const redirectHeaders = { ...options.headers };
+                Object.keys(redirectHeaders)
+                    .filter(header => header.toLowerCase() === 'content-type')
+                    .forEach(header => delete redirectHeaders[header]);
+
+                return await this._request({
+                    url: new URL(redirectUrl, new URL(url, document.baseURI)).href,
+                    options: { ...options, method: 'GET', body: undefined, headers: redirectHeaders },
+                    config,
+                    context,
+                    abortKey,
+                    abortController,
+                    redirectCount: redirectCount + 1,
+                    record: timelineRecord
+                });
+            }
+
+            const result = await this.interceptors.response.run({ type: responseType, data: responseData, response, request });
+            if (result === false) return { type: responseType, data: responseData, response, cached: false };
+            ({ type: responseType, data: responseData } = result);
+            timelineRecord.responseType = responseType;
+
+            if (cacheKey) await this._writeCache(cacheKey, responseType, responseData, config);
+            if (config.invalidateTags) await this.cache.invalidateTags(config.invalidateTags);
+
+            if (abortController.signal.aborted) throw abortController.signal.reason;
+
+            this._deliverResponse(responseType, responseData, context, config, this._getHistoryUrl(url, options, response, config), response);
+            this._log(config, 'debug', 'Success', { url, responseType, responseData });
+
+            return { type: responseType, data: responseData, response, cached: false };
+        } catch (error) {
+            const gnexError = this._toGnexError(error);
+
+            if (config.offline && !revalidate && gnexError.kind === 'network' && this._isQueueable(options, config)) {
+                try {
+                    timelineRecord.responseType = 'queued';
+                    return await this._enqueueRequest(url, queueOptions, config, context);
+                } catch (queueError) {
+                    this._log(config, 'warn', 'Could not queue the request', { url, error: queueError });
+                }
+            }
+
+            await this._reportRequestError(config, context, error, request);
+            Object.assign(timelineRecord, { error: gnexError.kind, status: gnexError.status || timelineRecord.status });
+            this._log(config, 'debug', 'Error', { url, kind: gnexError.kind, message: gnexError.message });
+
+            throw gnexError;
+        } finally {
+            if (this._abortControllers.get(abortKey) === abortController) this._abortControllers.delete(abortKey);
+            if (!record) this._finishTimelineRecord(timelineRecord, config);
+        }
+    },
+
+    /**
+     * Reports a failed request to the error interceptors and onError: 'validation'
+     * for HTTP errors with validation details, 'timeout' and 'aborted' as such and
+     * 'request' for anything else. Cancellations are not reported.
+     * @param {Object} config - Configuration object
+     * @param {HTMLFormElement|null} context - The form context
+     * @param {Error} error - Caught error
+     * @param {Object|null} request - Request built by the request interceptors, when available
+     */
+    async _reportRequestError(config, context, error, request) {
+        const gnexError = this._toGnexError(error);
+
+        if (gnexError.kind === 'http' && gnexError.details) {
+            await this._reportError(config, 'validation', context, gnexError.details, request);
+        } else if (gnexError.kind === 'timeout' || gnexError.kind === 'aborted') {
+            await this._reportError(config, gnexError.kind, context, error, request);
+        } else if (gnexError.kind !== 'cancelled') {
+            await this._reportError(config, 'request', context, context ? error.message : error, request);
+        }
+    },
+
+    /**
+     * Adds the fetch credentials, mode, integrity and referrerPolicy options and,
+     * for unsafe methods to same-origin URLs, the CSRF token header (unless the
+     * request already sets it).
+     * @param {string} url - Target URL
+     * @param {Object} options - Fetch options
+     * @param {Object} config - Configuration object
+     * @returns {Object} New fetch options
+     */
+    _applyRequestSecurity(url, options, config) {
+        const secured = { ...options, headers: { ...options.headers } };
+        ['credentials', 'mode', 'integrity', 'referrerPolicy'].forEach(optionName => {
+            if (config[optionName] && secured[optionName] === undefined) secured[optionName] = config[optionName];
+        });
+
+        const csrf = this._resolveCsrf(config);
+        const method = (secured.method || 'GET').toUpperCase();
+        if (!csrf || ['GET', 'HEAD', 'OPTIONS', 'TRACE'].includes(method)) return secured;
+        if (new URL(url, document.baseURI).origin !== window.location.origin) return secured;
+
+        const hasHeader = Object.keys(secured.headers).some(name => name.toLowerCase() === csrf.header.toLowerCase());
+        const token = hasHeader ? null : this._getCsrfToken(csrf);
+        if (token) secured.headers[csrf.header] = token;
+        return secured;
+    },
+
+    /**
+     * Merges the configured CSRF settings with the defaults.
+     * @param {Object} config - Configuration object
+     * @returns {Object|null} CSRF settings, or null when disabled
+     */
+    _resolveCsrf(config) {
+        if (!config.csrf) return null;
+        return { ...Gnex.defaults.csrf, ...(config.csrf === true ? {} : config.csrf) };
+    },
+
+    /**
+     * Reads the CSRF token: the last token refreshed from a response, the meta tag,
+     * then the cookie.
+     * @param {Object} csrf - CSRF settings
+     * @returns {string|null} Token
+     */
+    _getCsrfToken(csrf) {
+        if (this._csrf.token) return this._csrf.token;
+
+        const { meta, cookie } = csrf;
+        const metaElement = meta ? document.querySelector(`meta[name="${meta}"]`) : null;
+        if (metaElement && metaElement.content) return metaElement.content;
+
+        if (cookie) {
+            const cookieEntry = document.cookie.split(';')
+                .map(part => part.trim())
+                .find(part => part.startsWith(`${cookie}=`));
+            if (cookieEntry) return decodeURIComponent(cookieEntry.slice(cookie.length + 1));
+        }
+        return null;
+    },
+
+    /**
+     * Stores a CSRF token sent in the configured response header and mirrors it
+     * into the meta tag when there is one. Cross-origin responses are ignored.
+     * @param {Response|Object} response - Response
+     * @param {string} url - Request URL (used when the response has no url)
+     * @param {Object} config - Configuration object
+     */
+    _refreshCsrfToken(response, url, config) {
+        const csrf = this._resolveCsrf(config);
+        if (!csrf || !csrf.responseHeader || !response || !response.headers) return;
+        if (new URL(response.url || url, document.baseURI).origin !== window.location.origin) return;
+
+        const token = response.headers.get(csrf.responseHeader);
+        if (!token) return;
+
+        this._csrf.token = token;
+        const metaElement = csrf.meta ? document.querySelector(`meta[name="${csrf.meta}"]`) : null;
+        if (metaElement) metaElement.content = token;
+        this._log(config, 'debug', 'CSRF token refreshed');
+    },
+
+    /**
+     * Checks whether a request may be stored in the offline queue: unsafe methods
+     * only, never event streams.
+     * @param {Object} options - Fetch options
+     * @param {Object} config - Configuration object
+     * @returns {boolean} True when the request can be queued
+     */
+    _isQueueable(options, config) {
+        const method = (options.method || 'GET').toUpperCase();
+        return !config.sse && !['GET', 'HEAD', 'OPTIONS'].includes(method);
+    },
+
+    /**
+     * Stores a request in the offline queue instead of reporting it as failed.
+     * @param {string} url - Target URL
+     * @param {Object} options - Fetch options
+     * @param {Object} config - Configuration object
+     * @param {HTMLFormElement|null} context - The form context
+     * @returns {Promise<Object>} Resolves to { type: 'queued', data: queuedItem, response: null, cached: false }
+     */
+    async _enqueueRequest(url, options, config, context) {
+        const queuedItem = await this.queue.add(url, options, { config, context, instance: this });
+
+        this._log(config, 'debug', 'Request queued for replay', { id: queuedItem.id });
+        if (config.onQueued) config.onQueued(context, queuedItem);
+        return { type: 'queued', data: queuedItem, response: null, cached: false };
+    },
+
+    /**
+     * Sends a queued request again. Items queued during this page session reuse
+     * their form and configuration; items restored from a previous session use
+     * the defaults. Failures are recorded by the queue instead of calling onError.
+     * @param {Object} item - Queued item
+     * @param {any} body - Restored request body
+     * @param {Object} [session] - { config, context } captured when the item was queued
+     * @returns {Promise<Object>} Resolves to { type, data, response, cached }, rejects with a GnexError
+     */
+    async _replayQueued(item, body, session) {
+        const config = { ...this.defaults, ...(session ? session.config : {}), offline: false, onError: null };
+        const context = session && session.context && session.context.isConnected ? session.context : null;
+        const abortController = new AbortController();
+        const abortKey = context || { id: item.id };
+
+        this._abortControllers.set(abortKey, abortController);
+        this._log(config, 'debug', 'Replaying queued request', { id: item.id });
+
+        try {
+            const result = await this._request({
+                url: item.url,
+                options: { method: item.method, headers: { ...item.headers }, body, signal: abortController.signal, redirect: 'manual' },
+                config,
+                context,
+                abortKey,
+                abortController
+            });
+            if (config.onReplayed) config.onReplayed(context, item, result, null);
+            return result;
+        } catch (error) {
+            if (config.onReplayed && error.kind !== 'network' && error.kind !== 'timeout') config.onReplayed(context, item, null, error);
+            throw error;
+        }
+    },
+
+    /**
+     * Swaps a response, records the history entry when navigating and runs onSuccess.
+     * @param {string} responseType - Type of response
+     * @param {any} responseData - Response data
+     * @param {HTMLFormElement|null} context - The form context
+     * @param {Object} config - Configuration object
+     * @param {string|null} historyUrl - URL for a new history entry, if any
+     * @param {Response|Object|null} response - Response (null when served from cache)
+     */
+    _deliverResponse(responseType, responseData, context, config, historyUrl, response) {
+        const historyTarget = typeof config.target === 'string' && config.target !== 'this' ? config.target : 'body';
+
+        if (historyUrl) this._saveHistorySnapshot(historyTarget);
+        this._swapResponse(responseType, responseData, context, config);
+        if (historyUrl) this._updateHistory(historyUrl, historyTarget, config);
+
+        if (config.onSuccess) config.onSuccess(responseType, context, responseData);
+        this._dispatchEvent(config, context, 'success', { type: responseType, data: responseData, response, cached: !response });
+    },
+
+    /**
+     * Builds the cache key for a request, or null when the response must not be
+     * cached (cache disabled or a method other than GET/HEAD).
+     * @param {string} url - Target URL
+     * @param {Object} options - Fetch options
+     * @param {Object} config - Configuration object
+     * @param {HTMLFormElement|null} context - The form context
+     * @returns {string|null} Cache key
+     */
+    _getCacheKey(url, options, config, context) {
+        if (!config.cache) return null;
+
+        const method = (options.method || 'GET').toUpperCase();
+        if (method !== 'GET' && method !== 'HEAD') {
+            this._log(config, 'debug', 'Response not cached', { method });
+            return null;
+        }
+
+        if (typeof config.cacheKey === 'function') return config.cacheKey({ url, options, config, context });
+
+        const body = options.body instanceof FormData ? JSON.stringify([...options.body.entries()])
+            : typeof options.body === 'string' || options.body instanceof URLSearchParams ? String(options.body)
+            : '';
+        return `${method}:${url}${body ? `:${body}` : ''}`;
+    },
+
+    /**
+     * Reads a cache entry, ignoring storage failures.
+     * @param {string} cacheKey - Cache key
+     * @param {Object} config - Configuration object
+     * @returns {Promise<Object|undefined>} Entry with a stale flag, if present
+     */
+    async _readCache(cacheKey, config) {
+        try {
+            return await this.cache.get(cacheKey, config.cacheStorage);
+        } catch (error) {
+            this._log(config, 'warn', 'Cache read failed', { key: cacheKey, error });
+            return undefined;
+        }
+    },
+
+    /**
+     * Stores a response in the cache, ignoring storage failures. Documents (xml)
+     * and Blobs are not cached: storages other than memory cannot hold them.
+     * @param {string} cacheKey - Cache key
+     * @param {string} responseType - Type of response
+     * @param {any} responseData - Response data
+     * @param {Object} config - Configuration object
+     */
+    async _writeCache(cacheKey, responseType, responseData, config) {
+        if ((typeof Node !== 'undefined' && responseData instanceof Node) || (typeof Blob !== 'undefined' && responseData instanceof Blob)) {
+            this._log(config, 'debug', 'Response not cached', { key: cacheKey, responseType });
+            return;
+        }
+
+        const expires = typeof config.cache === 'number' ? Date.now() + config.cache * 1000 : null;
+        const staleUntil = expires === null || config.staleWhileRevalidate === true ? null
+            : typeof config.staleWhileRevalidate === 'number' ? expires + config.staleWhileRevalidate * 1000
+            : expires;
+
+        try {
+            await this.cache.set(cacheKey, {
+                responseType,
+                data: responseData,
+                expires,
+                staleUntil,
+                tags: [].concat(config.cacheTags || [])
+            }, config.cacheStorage);
+            this._log(config, 'debug', 'Cached response', { key: cacheKey, responseType, responseData });
+        } catch (error) {
+            this._log(config, 'warn', 'Cache write failed', { key: cacheKey, error });
+        }
+    },
+
+    /**
+     * Refreshes a stale cache entry in the background. The fresh response is swapped
+     * and passed to onSuccess again; failures are not reported to onError.
+     * @param {string} url - Target URL
+     * @param {Object} options - Fetch options
+     * @param {Object} config - Configuration object
+     * @param {HTMLFormElement|null} context - The form context
+     */
+    _revalidate(url, options, config, context) {
+        const abortController = new AbortController();
+        const abortKey = { id: `gnex-revalidate-${Date.now()}` };
+        this._abortControllers.set(abortKey, abortController);
+
+        this._request({
+            url,
+            options: { ...options, signal: abortController.signal },
+            config: { ...config, onError: null },
+            context,
+            abortKey,
+            abortController,
+            revalidate: true
+        }).catch(error => {
+            this._log(config, 'debug', 'Background revalidation failed', { url, message: error.message });
+        });
+    },
+
+    /**
+     * Reads and classifies a response: redirects first, then the parser registry.
+     * @param {Response|Object} response - Fetch response
+     * @param {HTMLFormElement|null} context - The form context
+     * @param {Object} config - Configuration object
+     * @returns {Promise<Object>} { type, data }
+     */
+    async _classifyResponse(response, context, config) {
+        if (response.type === 'opaqueredirect' || (response.status >= 300 && response.status < 400)) {
+            return { type: 'redirect', data: response.headers.get('Location') || 'unknown' };
+        }
+        return this.parsers.parse(response, context, config);
+    },
+
+    /**
+     * Combines an abort signal with an optional timeout.
+     * @param {AbortSignal} signal - Caller's abort signal
+     * @param {number} timeout - Timeout in milliseconds (0 = no timeout)
+     * @returns {AbortSignal} Signal aborting with a TimeoutError when the timeout elapses
+     */
+    _createRequestSignal(signal, timeout) {
+        if (!(timeout > 0)) return signal;
+
+        if (typeof AbortSignal.any === 'function' && typeof AbortSignal.timeout === 'function') {
+            return AbortSignal.any([signal, AbortSignal.timeout(timeout)]);
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(new DOMException('The operation timed out.', 'TimeoutError')), timeout);
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            controller.abort(signal.reason);
+        }, { once: true });
+        return controller.signal;
+    },
+
+    /**
+     * Converts any thrown value into a GnexError with a kind.
+     * @param {Error} error - Caught error
+     * @returns {GnexError} Typed error
+     */
+    _toGnexError(error) {
+        if (error instanceof GnexError) return error;
+
+        const kind = error && error.name === 'TimeoutError' ? 'timeout'
+            : error && error.name === 'AbortError' ? 'aborted'
+            : error instanceof SyntaxError ? 'parse'
+            : 'network';
+        return new GnexError(kind, error && error.message ? error.message : String(error), { cause: error });
+    },
+
+    /**
+     * Wraps a request promise in a thenable handle that can also be cancelled.
+     * Rejections are not reported as unhandled when the handle is never awaited.
+     * @param {Promise<Object>} promise - Request promise
+     * @param {Function} cancel - Cancels the request
+     * @returns {Object} Handle with cancel, then, catch and finally methods
+     */
+    _createRequestHandle(promise, cancel) {
+        promise.catch(() => {});
+
+        return {
+            cancel,
+            then: (onFulfilled, onRejected) => promise.then(onFulfilled, onRejected),
+            catch: (onRejected) => promise.catch(onRejected),
+            finally: (onFinally) => promise.finally(onFinally)
+        };
+    },
+
+    /**
+     * Merges parameters into a URL's query string. Names present in params replace
+     * the existing values; other existing parameters are kept. Relative URLs stay
+     * relative to the site root.
+     * @param {string} url - Base URL
+     * @param {FormData|URLSearchParams|Object} params - Parameters (objects use bracket notation)
+     * @returns {string} URL with the merged query string
+     */
+    _buildUrl(url, params) {
+        const entries = params instanceof FormData || params instanceof URLSearchParams
+            ? [...params.entries()]
+            : this._flattenObject(params);
+        if (entries.length === 0) return url;
+
+        const targetUrl = new URL(url, document.baseURI);
+        new Set(entries.map(([name]) => name)).forEach(name => targetUrl.searchParams.delete(name));
+        entries.forEach(([name, value]) => targetUrl.searchParams.append(name, value instanceof File ? value.name : String(value)));
+
+        return /^([a-z][a-z\d+.-]*:)?\/\//i.test(url)
+            ? targetUrl.href
+            : targetUrl.pathname + targetUrl.search + targetUrl.hash;
+    },
+
+    /**
+     * Decides which URL a successful request records in the history, when pushState
+     * or navigate is enabled: the X-Gnex-Push-Url header, the final URL of a followed
+     * redirect, or the URL of a GET/HEAD request. Cross-origin and unchanged URLs are skipped.
+     * @param {string} url - Requested URL
+     * @param {Object} options - Fetch options
+     * @param {Response|Object|null} response - Response (null when served from cache)
+     * @param {Object} config - Configuration object
+     * @returns {string|null} Absolute URL or null
+     */
+    _getHistoryUrl(url, options, response, config) {
+        if (!config.pushState && !config.navigate) return null;
+
+        const method = (options.method || 'GET').toUpperCase();
+        const candidateUrl = (response && response.headers.get('X-Gnex-Push-Url'))
+            || (response && response.redirected && response.url)
+            || (method === 'GET' || method === 'HEAD' ? url : null);
+        if (!candidateUrl) return null;
+
+        const historyUrl = new URL(candidateUrl, document.baseURI);
+        if (historyUrl.origin !== window.location.origin || historyUrl.href === window.location.href) return null;
+        return historyUrl.href;
+    },
+
+    /**
+     * Stores the content about to be swapped as the snapshot of the current history
+     * entry, giving the entry a Gnex state first if it has none (e.g. the initial page).
+     * @param {string} targetSelector - Selector of the element being swapped
+     */
+    _saveHistorySnapshot(targetSelector) {
+        let state = history.state;
+        if (!state || !state.gnex) {
+            state = { gnex: true, id: `gnex-history-${Date.now()}-${this._history.snapshots.size}`, target: targetSelector };
+            history.replaceState(state, '', window.location.href);
+        }
+
+        const root = document.querySelector(targetSelector);
+        if (root) {
+            this._history.snapshots.delete(state.id);
+            this._history.snapshots.set(state.id, { target: targetSelector, html: root.innerHTML, title: document.title });
+            while (this._history.snapshots.size > this._maxHistorySnapshots) {
+                this._history.snapshots.delete(this._history.snapshots.keys().next().value);
+            }
+        }
+
+        this._history.state = state;
+        if (!this._history.listener) {
+            this._history.listener = (event) => this._handlePopState(event);
+            window.addEventListener('popstate', this._history.listener);
+        }
+    },
+
+    /**
+     * Pushes (or replaces, with 'replace') a history entry for swapped content.
+     * @param {string} historyUrl - URL of the new entry
+     * @param {string} targetSelector - Selector of the swapped element
+     * @param {Object} config - Configuration object
+     */
+    _updateHistory(historyUrl, targetSelector, config) {
+        const state = { gnex: true, id: `gnex-history-${Date.now()}-${this._history.snapshots.size}`, target: targetSelector };
+        const mode = config.navigate || config.pushState;
+
+        if (mode === 'replace') {
+            history.replaceState(state, '', historyUrl);
+        } else {
+            history.pushState(state, '', historyUrl);
+        }
+        this._history.state = state;
+        this._log(config, 'debug', 'History updated', { url: historyUrl });
+    },
+
+    /**
+     * Restores the snapshot of a Gnex history entry on back/forward navigation,
+     * after saving the content of the entry being left. Entries without a snapshot
+     * are reloaded through load().
+     * @param {PopStateEvent} event - popstate event
+     */
+    _handlePopState(event) {
+        const leavingState = this._history.state;
+        if (leavingState) {
+            const leavingRoot = document.querySelector(leavingState.target);
+            if (leavingRoot) {
+                this._history.snapshots.set(leavingState.id, { target: leavingState.target, html: leavingRoot.innerHTML, title: document.title });
+            }
+        }
+
+        const state = event.state;
+        this._history.state = state && state.gnex ? state : null;
+        if (!this._history.state) return;
+
+        const snapshot = this._history.snapshots.get(state.id);
+        const root = document.querySelector(snapshot ? snapshot.target : state.target);
+
+        if (snapshot && root) {
+            root.innerHTML = snapshot.html;
+            document.title = snapshot.title;
+        } else {
+            this.load(window.location.href, { target: state.target, swap: 'innerHTML' });
+        }
+    },
+
+    /**
+     * Loads a URL in navigation mode: the response is swapped into the target
+     * (body by default), a history entry is pushed and redirects are followed.
+     * @param {string} url - Target URL
+     * @param {Object} options - Custom configuration
+     * @returns {Object} Thenable handle from load()
+     */
+    navigate(url, options = {}) {
+        return this.load(url, { target: 'body', ...options, navigate: options.navigate || true });
+    },
+
+    /**
+     * Intercepts clicks on a[data-gnex] links inside root (including links added
+     * later) and loads them in navigation mode. Links bound by bind() keep their
+     * own handler.
+     * @param {Element|Document} root - Element delegating the clicks
+     * @param {Object} options - Base configuration; link attributes take precedence
+     * @returns {Object} Control object with disconnect method
+     */
+    interceptLinks(root = document, options = {}) {
+        const listener = (event) => {
+            const linkElement = event.target.closest ? event.target.closest('a[data-gnex]') : null;
+            if (!linkElement || this._boundListeners.has(linkElement) || !this._isNavigableClick(event, linkElement)) return;
+
+            event.preventDefault();
+            this.navigate(linkElement.href, this._mergeConfig(options, this._parseAttributes(linkElement, options)));
+        };
+
+        root.addEventListener('click', listener);
+        return { disconnect: () => root.removeEventListener('click', listener) };
+    },
+
+    /**
+     * Checks whether a link click should be handled by Gnex: a plain primary-button
+     * click on a same-origin link without a target window or download attribute.
+     * @param {MouseEvent} event - Click event
+     * @param {HTMLAnchorElement} linkElement - Clicked link
+     * @returns {boolean} True when Gnex should load the link
+     */
+    _isNavigableClick(event, linkElement) {
+        return !event.defaultPrevented
+            && event.button === 0
+            && !event.metaKey && !event.ctrlKey && !event.shiftKey && !event.altKey
+            && (!linkElement.target || linkElement.target === '_self')
+            && !linkElement.hasAttribute('download')
+            && linkElement.origin === window.location.origin;
+    },
+
+    /**
+     * Serializes a form into a nested object. Bracket names build objects and arrays
+     * (user[address][city], tags[], items[0][name]), multi-selects and checkbox groups
+     * always produce arrays, and data-gnex-type="number|boolean|json|string" types the
+     * value (boolean checkboxes yield their checked state). Files are skipped.
+     * @param {HTMLFormElement} formElement - The form to serialize
+     * @param {FormData} [formData] - Entries to serialize (defaults to the form's own)
+     * @param {Object} [config] - Configuration used for logging
+     * @returns {Object} Nested object
+     */
+    serialize(formElement, formData = new FormData(formElement), config = this.defaults) {
+        const controls = formElement ? [...formElement.elements].filter(control => control.name && !control.disabled) : [];
+        const booleanCheckboxes = controls.filter(control => control.type === 'checkbox' && control.dataset.gnexType === 'boolean');
+        const booleanNames = new Set(booleanCheckboxes.map(control => control.name));
+        const arrayNames = new Set(controls
+            .filter(control => control.type === 'select-multiple'
+                || (control.type === 'checkbox' && controls.filter(other => other.type === 'checkbox' && other.name === control.name).length > 1))
+            .map(control => control.name));
+        const typeOf = (name) => {
+            const typedControl = controls.find(control => control.name === name && control.dataset.gnexType);
+            return typedControl ? typedControl.dataset.gnexType : null;
+        };
+
+        const result = {};
+        for (const [name, value] of formData.entries()) {
+            if (booleanNames.has(name)) continue;
+            if (value instanceof Blob) {
+                this._log(config, 'warn', 'File field cannot be serialized and was skipped', { field: name });
+                continue;
+            }
+            this._assignFieldValue(result, name, this._coerceFieldValue(value, typeOf(name), config), arrayNames.has(name));
+        }
+        booleanCheckboxes.forEach(control => this._assignFieldValue(result, control.name, control.checked, false));
+
+        return result;
+    },
+
+    /**
+     * Converts a field value according to its data-gnex-type.
+     * @param {string} value - Raw value
+     * @param {string|null} type - number, boolean, json or string
+     * @param {Object} [config] - Configuration used for logging
+     * @returns {any} Typed value
+     */
+    _coerceFieldValue(value, type, config = this.defaults) {
+        switch (type) {
+            case 'number':
+                return value.trim() === '' ? null : Number(value);
+            case 'boolean':
+                return !['', 'false', '0', 'off', 'no'].includes(value.trim().toLowerCase());
+            case 'json':
+                try {
+                    return JSON.parse(value);
+                } catch (e) {
+                    this._log(config, 'warn', 'Invalid JSON field value', { value });
+                    return value;
+                }
+            default:
+                return value;
+        }
+    },
+
+    /**
+     * Assigns a value into a nested object following a bracket-notation name.
+     * An empty segment (tags[]) appends; a repeated plain name becomes an array.
+     * @param {Object} target - Object being built
+     * @param {string} name - Field name
+     * @param {any} value - Field value
+     * @param {boolean} forceArray - Whether the field always produces an array
+     */
+    _assignFieldValue(target, name, value, forceArray) {
+        const nameMatch = name.match(/^([^[\]]+)((?:\[[^[\]]*\])*)$/);
+        const path = nameMatch
+            ? [nameMatch[1], ...[...nameMatch[2].matchAll(/\[([^[\]]*)\]/g)].map(segment => segment[1])]
+            : [name];
+        if (forceArray && path[path.length - 1] !== '') path.push('');
+        if (path.some(key => key === '__proto__' || key === 'constructor' || key === 'prototype')) return;
+
+        let node = target;
+        path.forEach((key, index) => {
+            const isLast = index === path.length - 1;
+            const nextKey = path[index + 1];
+
+            if (key === '' && Array.isArray(node)) {
+                if (isLast) {
+                    node.push(value);
+                    return;
+                }
+                const lastItem = node[node.length - 1];
+                if (lastItem && typeof lastItem === 'object' && !(nextKey in lastItem)) {
+                    node = lastItem;
+                } else {
+                    const item = nextKey === '' || /^\d+$/.test(nextKey) ? [] : {};
+                    node.push(item);
+                    node = item;
+                }
+                return;
+            }
+
+            if (isLast) {
+                if (node[key] === undefined) {
+                    node[key] = value;
+                } else {
+                    node[key] = [].concat(node[key], value);
+                }
+                return;
+            }
+
+            if (node[key] === undefined || node[key] === null || typeof node[key] !== 'object') {
+                node[key] = nextKey === '' || /^\d+$/.test(nextKey) ? [] : {};
+            }
+            node = node[key];
+        });
+    },
+
+    /**
+     * Flattens a nested object into bracket-notation entries.
+     * @param {any} value - Value to flatten
+     * @param {string} [prefix] - Name of the value
+     * @param {Array} [entries] - Accumulated [name, value] pairs
+     * @returns {Array} Entries with string or Blob values
+     */
+    _flattenObject(value, prefix = '', entries = []) {
+        if (value instanceof Blob) {
+            entries.push([prefix, value]);
+        } else if (value instanceof Date) {
+            entries.push([prefix, value.toISOString()]);
+        } else if (Array.isArray(value)) {
+            value.forEach((item, index) => {
+                const isNested = item && typeof item === 'object' && !(item instanceof Blob) && !(item instanceof Date);
+                this._flattenObject(item, isNested ? `${prefix}[${index}]` : `${prefix}[]`, entries);
+            });
+        } else if (value && typeof value === 'object') {
+            Object.entries(value).forEach(([key, item]) => this._flattenObject(item, prefix ? `${prefix}[${key}]` : key, entries));
+        } else if (value !== undefined) {
+            entries.push([prefix, value === null ? '' : String(value)]);
+        }
+        return entries;
+    },
+
+    /**
+     * Encodes request data into options.body and sets the matching Content-Type
+     * unless the headers already define one. FormData and plain objects are encoded;
+     * strings, Blobs and URLSearchParams are sent as is.
+     * @param {Object} options - Fetch options to update
+     * @param {any} data - FormData, plain object or raw body
+     * @param {string} encoding - 'multipart', 'urlencoded' or 'json'
+     * @param {HTMLFormElement|null} formElement - Form providing field types for JSON
+     * @param {Object} [config] - Configuration used for logging
+     */
+    _applyBody(options, data, encoding, formElement, config = this.defaults) {
+        if (data === null || data === undefined) return;
+
+        const isPlainObject = typeof data === 'object' && (Array.isArray(data) || [Object.prototype, null].includes(Object.getPrototypeOf(data)));
+        if (!(data instanceof FormData) && !isPlainObject) {
+            options.body = data;
+            return;
+        }
+
+        let contentType = null;
+        switch (encoding) {
+            case 'json':
+                options.body = JSON.stringify(data instanceof FormData ? this.serialize(formElement, data, config) : data);
+                contentType = 'application/json';
+                break;
+            case 'urlencoded': {
+                const entries = data instanceof FormData ? [...data.entries()] : this._flattenObject(data);
+                options.body = new URLSearchParams(entries.map(([name, value]) => [name, value instanceof File ? value.name : String(value)]));
+                contentType = 'application/x-www-form-urlencoded;charset=UTF-8';
+                break;
+            }
+            default: {
+                if (encoding !== 'multipart') this._log(config, 'warn', 'Unknown encoding, using multipart', { encoding });
+                if (data instanceof FormData) {
+                    options.body = data;
+                } else {
+                    options.body = new FormData();
+                    this._flattenObject(data).forEach(([name, value]) => options.body.append(name, value));
+                }
+                break;
+            }
+        }
+
+        const hasContentType = Object.keys(options.headers || {}).some(header => header.toLowerCase() === 'content-type');
+        if (contentType && !hasContentType) options.headers = { ...options.headers, 'Content-Type': contentType };
+    },
+
+    /**
+     * Extracts validation errors from a failed JSON response. Supports RFC 7807
+     * problem details (with an "errors" map or "invalid-params" list) and plain
+     * {errors: {field: [messages]}} bodies. Messages without a field are keyed by ''.
+     * @param {Response} response - Failed fetch response
+     * @returns {Promise<Object|null>} { status, title, detail, errors, problem } or null when not a validation failure
+     */
+    async _parseValidationErrors(response) {
+        const contentType = response.headers.get('Content-Type') || '';
+        if (!contentType.includes('json')) return null;
+
+        let payload;
+        try {
+            payload = await response.json();
+        } catch (e) {
+            return null;
+        }
+        if (!payload || typeof payload !== 'object') return null;
+
+        const errors = {};
+        const addError = (fieldName, messages) => {
+            const key = fieldName || '';
+            errors[key] = (errors[key] || []).concat(messages).filter(Boolean).map(String);
+        };
+
+        const errorSource = payload.errors || payload['invalid-params'];
+        if (Array.isArray(errorSource)) {
+            errorSource.forEach(item => {
+                if (typeof item === 'string') {
+                    addError('', item);
+                } else if (item) {
+                    const fieldName = item.field || item.name || (item.pointer || '').split('/').pop();
+                    addError(fieldName, item.message || item.reason || item.detail);
+                }
+            });
+        } else if (errorSource && typeof errorSource === 'object') {
+            Object.entries(errorSource).forEach(([fieldName, messages]) => addError(fieldName, messages));
+        }
+
+        if (Object.keys(errors).length === 0 && response.status !== 422) return null;
+
+        return {
+            status: response.status,
+            title: payload.title || null,
+            detail: payload.detail || null,
+            errors,
+            problem: payload
+        };
+    },
+
+    /**
+     * Marks form fields with server-side validation errors (aria-invalid and custom
+     * validity) and renders messages into their containers. Messages that match no
+     * field or container go to the errorSummary container.
+     * @param {HTMLFormElement} formElement - The form context
+     * @param {Object} validationErrors - Result of _parseValidationErrors
+     * @param {Object} formConfig - Configuration object
+     */
+    _applyValidationErrors(formElement, validationErrors, formConfig) {
+        const marks = this._validationMarks.get(formElement) || { fields: [], containers: [] };
+        const summaryMessages = validationErrors.detail ? [validationErrors.detail] : [];
+
+        Object.entries(validationErrors.errors).forEach(([fieldName, messages]) => {
+            const fields = fieldName ? this._findFields(formElement, fieldName) : [];
+            const container = this._findErrorContainer(formElement, fields.length > 0 ? fields[0].name : fieldName, formConfig);
+
+            if (fields.length === 0 && !container) {
+                summaryMessages.push(...messages);
+                return;
+            }
+
+            fields.forEach(field => {
+                field.setAttribute('aria-invalid', 'true');
+                if (field.setCustomValidity) field.setCustomValidity(messages.join(' '));
+                field.addEventListener('input', () => this._clearFieldError(field), { once: true });
+                marks.fields.push(field);
+            });
+
+            if (container) {
+                container.textContent = messages.join(' ');
+                marks.containers.push(container);
+            }
+        });
+
+        const summary = typeof formConfig.errorSummary === 'string'
+            ? formElement.querySelector(formConfig.errorSummary) || document.querySelector(formConfig.errorSummary)
+            : formConfig.errorSummary;
+
+        if (summary && summaryMessages.length > 0) {
+            summary.replaceChildren(...summaryMessages.map(message => {
+                const item = document.createElement('p');
+                item.textContent = message;
+                return item;
+            }));
+            marks.containers.push(summary);
+        }
+
+        this._validationMarks.set(formElement, marks);
+    },
+
+    /**
+     * Finds the message container of a field through errorSelector.
+     * @param {HTMLFormElement} formElement - The form context
+     * @param {string} fieldName - Field name
+     * @param {Object} formConfig - Configuration object
+     * @returns {Element|null} Container
+     */
+    _findErrorContainer(formElement, fieldName, formConfig) {
+        if (!fieldName || !formConfig.errorSelector) return null;
+        return formElement.querySelector(formConfig.errorSelector.replace('{name}', fieldName.replace(/["\\]/g, '\\$&')));
+    },
+
+    /**
+     * Validates a form with native constraints and data-gnex-rules, marking the
+     * invalid fields like server-side validation errors.
+     * @param {HTMLFormElement} formElement - The form to validate
+     * @param {Object} options - Options overriding the form configuration
+     * @returns {Promise<Object|null>} Messages by field name, or null when valid
+     */
+    async validateForm(formElement, options = {}) {
+        const formConfig = this._mergeConfig(this._formConfigs.get(formElement) || this.defaults, options);
+
+        this._clearValidationErrors(formElement);
+        const validationErrors = await this._checkForm(formElement, formConfig);
+        if (validationErrors) this._applyValidationErrors(formElement, { errors: validationErrors }, formConfig);
+        return validationErrors;
+    },
+
+    /**
+     * Checks every validatable field of a form, one field per name. The result is
+     * synchronous unless a rule answers with a promise (e.g. remote).
+     * @param {HTMLFormElement} formElement - The form to check
+     * @param {Object} formConfig - Configuration object
+     * @returns {Object|null|Promise<Object|null>} Messages by field name, or null when valid
+     */
+    _checkForm(formElement, formConfig) {
+        const validationErrors = {};
+        const checkedNames = new Set();
+        const fields = this._getValidatableFields(formElement).filter(field => {
+            if (checkedNames.has(field.name)) return false;
+            checkedNames.add(field.name);
+            return true;
+        });
+
+        const record = (field, messages) => {
+            if (messages.length > 0) validationErrors[field.name] = messages;
+        };
+        const checkFrom = (index) => {
+            for (let i = index; i < fields.length; i++) {
+                const messages = this._checkField(fields[i], formElement, formConfig);
+                if (typeof messages.then === 'function') {
+                    return messages.then(resolved => {
+                        record(fields[i], resolved);
+                        return checkFrom(i + 1);
+                    });
+                }
+                record(fields[i], messages);
+            }
+            return Object.keys(validationErrors).length > 0 ? validationErrors : null;
+        };
+
+        return checkFrom(0);
+    },
+
+    /**
+     * Lists the named, enabled fields that take part in validation.
+     * @param {HTMLFormElement} formElement - The form
+     * @returns {Element[]} Fields
+     */
+    _getValidatableFields(formElement) {
+        return [...formElement.elements].filter(field => field.name
+            && !field.disabled
+            && ['INPUT', 'SELECT', 'TEXTAREA'].includes(field.tagName)
+            && !['submit', 'button', 'reset', 'image'].includes(field.type));
+    },
+
+    /**
+     * Checks one field: native constraints first (skipped when the form has
+     * novalidate), then its data-gnex-rules in order. Stops at the first failure,
+     * so remote rules only see otherwise valid values. Messages come from
+     * data-gnex-message-{rule}, data-gnex-message or the rule ({arg} is replaced
+     * by the rule argument).
+     * @param {Element} field - Field to check
+     * @param {HTMLFormElement} formElement - The form
+     * @param {Object} formConfig - Configuration object
+     * @returns {string[]|Promise<string[]>} Messages (empty when valid); a promise when a rule is async
+     */
+    _checkField(field, formElement, formConfig) {
+        if (!formElement.noValidate && field.checkValidity && !field.checkValidity()) {
+            return [field.getAttribute('data-gnex-message') || field.validationMessage || this.rules.required.message];
+        }
+
+        const value = this._getFieldValue(field, formElement);
+        const ruleList = (field.getAttribute('data-gnex-rules') || '').split('|').map(rule => rule.trim()).filter(Boolean)
+            .map(ruleDefinition => {
+                const separatorIndex = ruleDefinition.indexOf(':');
+                const name = separatorIndex === -1 ? ruleDefinition : ruleDefinition.slice(0, separatorIndex);
+                const arg = separatorIndex === -1 ? '' : ruleDefinition.slice(separatorIndex + 1);
+                if (!this.rules[name]) this._log(formConfig, 'warn', 'Unknown validation rule', { rule: name });
+                return { name, arg, rule: this.rules[name] };
+            })
+            .filter(({ rule }) => rule);
+
+        const failure = ({ name, arg, rule }, outcome) => {
+            this._log(formConfig, 'debug', 'Validation rule failed', { rule: name, field: field.name });
+            return [typeof outcome === 'string'
+                ? outcome
+                : field.getAttribute(`data-gnex-message-${name}`)
+                    || field.getAttribute('data-gnex-message')
+                    || rule.message.replace('{arg}', arg)];
+        };
+        const checkFrom = (index) => {
+            for (let i = index; i < ruleList.length; i++) {
+                const { arg, rule } = ruleList[i];
+                const outcome = rule.validate.call(this, value, arg, field, formElement);
+                if (outcome && typeof outcome.then === 'function') {
+                    return outcome.then(resolved => (resolved === true ? checkFrom(i + 1) : failure(ruleList[i], resolved)));
+                }
+                if (outcome !== true) return failure(ruleList[i], outcome);
+            }
+            return [];
+        };
+
+        return checkFrom(0);
+    },
+
+    /**
+     * Reads the value a rule checks: the checked value for checkboxes and radio
+     * groups ('' when unchecked), the value otherwise.
+     * @param {Element} field - Field
+     * @param {HTMLFormElement} formElement - The form
+     * @returns {string} Value
+     */
+    _getFieldValue(field, formElement) {
+        if (field.type === 'checkbox') return field.checked ? field.value : '';
+        if (field.type === 'radio') {
+            const checkedRadio = [...formElement.elements].find(control => control.name === field.name && control.checked);
+            return checkedRadio ? checkedRadio.value : '';
+        }
+        return field.value;
+    },
+
+    /**
+     * Validates a single field while the user edits it, replacing its previous
+     * marks. Results of outdated runs (e.g. slow remote rules) are ignored.
+     * @param {HTMLFormElement} formElement - The form
+     * @param {Element} field - Edited field
+     * @param {Object} formConfig - Configuration object
+     * @returns {Promise<string[]>} Messages (empty when valid)
+     */
+    async _validateLive(formElement, field, formConfig) {
+        const run = (this._liveValidationRuns.get(field) || 0) + 1;
+        this._liveValidationRuns.set(field, run);
+
+        this._clearFieldError(field);
+        const messages = await this._checkField(field, formElement, formConfig);
+        if (this._liveValidationRuns.get(field) !== run) return messages;
+
+        const container = this._findErrorContainer(formElement, field.name, formConfig);
+        if (container) container.replaceChildren();
+        this._clearFieldError(field);
+        if (messages.length > 0) this._applyValidationErrors(formElement, { errors: { [field.name]: messages } }, formConfig);
+        return messages;
+    },
+
+    /**
+     * Clears validation marks and messages applied by the previous submission.
+     * @param {HTMLFormElement} formElement - The form context
+     */
+    _clearValidationErrors(formElement) {
+        const marks = this._validationMarks.get(formElement);
+        if (!marks) return;
+
+        marks.fields.forEach(field => this._clearFieldError(field));
+        marks.containers.forEach(container => container.replaceChildren());
+        this._validationMarks.delete(formElement);
+    },
+
+    /**
+     * Clears the validation state of a single field.
+     * @param {Element} field - Form field
+     */
+    _clearFieldError(field) {
+        field.removeAttribute('aria-invalid');
+        if (field.setCustomValidity) field.setCustomValidity('');
+    },
+
+    /**
+     * Finds form fields for a server-side field name, also trying bracket notation
+     * for dotted names (user.email -> user[email]) and a case-insensitive match.
+     * @param {HTMLFormElement} formElement - The form context
+     * @param {string} fieldName - Field name reported by the server
+     * @returns {Element[]} Matching fields
+     */
+    _findFields(formElement, fieldName) {
+        const bracketName = fieldName.replace(/\.(\w+)/g, '[$1]');
+        const lowerName = fieldName.toLowerCase();
+        const controls = [...formElement.elements].filter(control => control.name);
+
+        for (const matches of [
+            control => control.name === fieldName,
+            control => control.name === bracketName,
+            control => control.name.toLowerCase() === lowerName || control.name.toLowerCase() === bracketName.toLowerCase()
+        ]) {
+            const fields = controls.filter(matches);
+            if (fields.length > 0) return fields;
+        }
+        return [];
+    },
+
+    /**
+     * Swaps an HTML response into the configured target and applies out-of-band
+     * fragments (elements marked with data-gnex-oob) to existing elements by id.
+     * Plain-text responses are swapped in as a text node, never parsed as markup.
+     * Other response types are ignored.
+     * @param {string} responseType - Type of response
+     * @param {any} responseData - Response data
+     * @param {HTMLFormElement|null} context - The form context (resolves target 'this')
+     * @param {Object} config - Configuration object
+     */
+    _swapResponse(responseType, responseData, context, config) {
+        if (!['x-html', 'full-html', 'text'].includes(responseType) || typeof responseData !== 'string') return;
+
+        const isText = responseType === 'text';
+        const isDocument = !isText && /^\s*(<!doctype|<html)/i.test(responseData);
+        const fragment = isText
+            ? document.createDocumentFragment()
+            : this._parseHtml(responseData, isDocument);
+        if (isText) fragment.append(document.createTextNode(responseData));
+
+        if (isDocument && config.navigate && config.swap !== 'none') {
+            const documentTitle = new DOMParser().parseFromString(responseData, 'text/html').title;
+            if (documentTitle) document.title = documentTitle;
+        }
+
+        fragment.querySelectorAll('[data-gnex-oob]').forEach(oobElement => {
+            const oobValue = oobElement.getAttribute('data-gnex-oob');
+            const strategy = oobValue && oobValue !== 'true' ? oobValue : 'outerHTML';
+            const existingElement = oobElement.id ? document.getElementById(oobElement.id) : null;
+
+            oobElement.removeAttribute('data-gnex-oob');
+            oobElement.remove();
+
+            if (!existingElement) {
+                this._log(config, 'debug', 'No element found for out-of-band fragment', { id: oobElement.id });
+                return;
+            }
+
+            const oobContent = document.createDocumentFragment();
+            if (strategy === 'outerHTML') {
+                oobContent.append(oobElement);
+            } else {
+                oobContent.append(...oobElement.childNodes);
+            }
+            this._swapInto(existingElement, oobContent, strategy, config);
+        });
+
+        if (!config.target || config.swap === 'none') return;
+
+        const targetElement = config.target === 'this' ? context
+            : typeof config.target === 'string' ? document.querySelector(config.target)
+            : config.target;
+
+        if (!targetElement) {
+            this._log(config, 'warn', 'The swap target does not match any element', { target: config.target });
+            return;
+        }
+
+        this._swapInto(targetElement, fragment, config.swap, config);
+        this._log(config, 'debug', 'Swapped response', { swap: config.swap, target: targetElement });
+    },
+
+    /**
+     * Parses markup into a detached fragment.
+     * @param {string} html - Markup to parse
+     * @param {boolean} isDocument - Whether the markup is a full document (only its body is kept)
+     * @returns {DocumentFragment} Parsed content
+     */
+    _parseHtml(html, isDocument) {
+        if (isDocument) {
+            const parsedDocument = new DOMParser().parseFromString(html, 'text/html');
+            const fragment = document.createDocumentFragment();
+            fragment.append(...parsedDocument.body.childNodes);
+            return fragment;
+        }
+
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        return template.content;
+    },
+
+    /**
+     * Inserts content relative to a target element using a swap strategy.
+     * @param {Element} targetElement - Element being swapped
+     * @param {DocumentFragment} content - Content to insert
+     * @param {string} strategy - innerHTML, outerHTML, beforeend, afterbegin, delete or none
+     * @param {Object} config - Configuration object
+     */
+    _swapInto(targetElement, content, strategy, config) {
+        switch (strategy) {
+            case 'innerHTML':
+                targetElement.replaceChildren(content);
+                break;
+            case 'outerHTML':
+                targetElement.replaceWith(content);
+                break;
+            case 'beforeend':
+                targetElement.append(content);
+                break;
+            case 'afterbegin':
+                targetElement.prepend(content);
+                break;
+            case 'delete':
+                targetElement.remove();
+                break;
+            case 'none':
+                break;
+            default:
+                this._log(config, 'warn', 'Unknown swap strategy', { swap: strategy });
+                break;
+        }
+    },
+
+    /**
+     * Processes Server-Sent Events from a response stream.
+     * @param {Response} response - Fetch response object
+     * @param {HTMLFormElement|null} context - The form context
+     * @param {Object} config - Configuration object
+     * @param {string} [lastEventId] - Last event id carried over from a previous connection
+     * @returns {Promise<Object>} Final parser state: { lastEventId, retry }
+     */
+    async _processSseStream(response, context, config, lastEventId = '') {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder('utf-8');
+        const parser = createSseParser((eventType, eventData, eventMeta) => {
+            this._dispatchSseEvent(eventType, eventData, { ...eventMeta, context }, config);
+        }, lastEventId);
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                parser.feed(decoder.decode(value, { stream: true }));
+            }
+            parser.feed(decoder.decode(new Uint8Array(0)));
+            parser.end();
+        } finally {
+            if (reader.releaseLock) reader.releaseLock();
+        }
+
+        return parser.state();
+    },
+
+    /**
+     * Routes a parsed SSE event. onEvent sees every event; a handler in the events
+     * map replaces the built-in behavior for its type: 'progress' calls onProgress,
+     * 'done' parses JSON into onSuccess and 'error' reports an 'sse-error'.
+     * @param {string} eventType - Event name ('message' when unnamed)
+     * @param {string} eventData - Event data
+     * @param {Object} eventMeta - { id, retry, context }
+     * @param {Object} config - Configuration object
+     */
+    _dispatchSseEvent(eventType, eventData, eventMeta, config) {
+        const { context } = eventMeta;
+        this._log(config, 'debug', 'SSE event', { eventType, eventData });
+
+        if (config.onEvent) config.onEvent(eventType, eventData, eventMeta);
+        this._dispatchEvent(config, context, 'sse-event', { type: eventType, data: eventData, id: eventMeta.id, retry: eventMeta.retry });
+
+        const handler = config.events && config.events[eventType];
+        if (typeof handler === 'function') {
+            handler(eventData, eventMeta);
+            return;
+        }
+
+        switch (eventType) {
+            case 'progress':
+                if (config.onProgress) config.onProgress(context, eventData);
+                this._dispatchEvent(config, context, 'progress', { progress: eventData });
+                break;
+            case 'done':
+                try {
+                    const jsonData = JSON.parse(eventData);
+                    if (config.onSuccess) config.onSuccess('json', context, jsonData);
+                } catch (e) {
+                    this._log(config, 'debug', 'SSE JSON parse error', { error: e });
+                    this._reportError(config, 'sse-parse', context, e);
+                }
+                break;
+            case 'error': {
+                let errorDetails = eventData;
+                try {
+                    errorDetails = JSON.parse(eventData);
+                } catch (e) {
+                    // Plain-text error payloads are reported as is
+                }
+                this._reportError(config, 'sse-error', context, errorDetails);
+                break;
+            }
+            default:
+                if (!config.onEvent) this._log(config, 'debug', 'Unhandled SSE event', { eventType, eventData });
+                break;
+        }
+    },
+
+    /**
+     * Sends a request, retrying network failures and retryable statuses according to
+     * the retry policy with exponential backoff. Aborts and timeouts are never retried.
+     * @param {Object} request - Request built by the request interceptors ({ url, options })
+     * @param {Object} config - Configuration object
+     * @param {HTMLFormElement|null} context - The form context
+     * @param {Object} [record] - Timeline record counting the attempts
+     * @returns {Promise<Response|Object>} Last response received
+     */
+    async _sendWithRetry(request, config, context, record = null) {
+        const policy = this._resolveRetryPolicy(config);
+        const method = (request.options.method || 'GET').toUpperCase();
+        const methodAllowed = policy.methods.some(allowed => allowed.toUpperCase() === method);
+
+        for (let attempt = 1; ; attempt++) {
+            let response = null;
+            let failure = null;
+
+            if (record) record.attempts = attempt;
+            try {
+                response = await this._sendRequest(request.url, request.options, config, context);
+            } catch (error) {
+                if (error.name === 'AbortError' || error.name === 'TimeoutError') throw error;
+                failure = error;
+            }
+
+            const retryable = failure !== null || policy.statuses.includes(response.status);
+            if (!retryable || !methodAllowed || attempt > policy.attempts) {
+                if (failure) throw failure;
+                return response;
+            }
+
+            const retryInfo = {
+                attempt,
+                attempts: policy.attempts,
+                delay: this._computeRetryDelay(policy, attempt, response),
+                status: response ? response.status : null,
+                error: failure
+            };
+
+            if (config.onRetry) config.onRetry(context, retryInfo);
+            this._log(config, 'debug', 'Retrying request', { url: request.url, ...retryInfo });
+
+            await this._wait(retryInfo.delay, request.options.signal);
+        }
+    },
+
+    /**
+     * Merges the configured retry policy with the defaults and retryCount.
+     * @param {Object} config - Configuration object
+     * @returns {Object} Complete retry policy
+     */
+    _resolveRetryPolicy(config) {
+        const policy = { ...Gnex.defaults.retry, ...config.retry };
+        if (typeof policy.attempts !== 'number') policy.attempts = config.retryCount || 0;
+        return policy;
+    },
+
+    /**
+     * Computes the delay before a retry: the Retry-After header when present and
+     * honored, otherwise exponential backoff with optional jitter, capped at maxDelay.
+     * @param {Object} policy - Retry policy
+     * @param {number} attempt - Retry number (1-based)
+     * @param {Response|Object|null} response - Failed response, if any
+     * @returns {number} Delay in milliseconds
+     */
+    _computeRetryDelay(policy, attempt, response) {
+        const retryAfter = response && policy.retryAfter ? response.headers.get('Retry-After') : null;
+
+        if (retryAfter) {
+            const retryAfterMs = /^\d+$/.test(retryAfter.trim())
+                ? Number(retryAfter) * 1000
+                : Date.parse(retryAfter) - Date.now();
+            if (!Number.isNaN(retryAfterMs)) return Math.min(policy.maxDelay, Math.max(0, retryAfterMs));
+        }
+
+        const backoff = Math.min(policy.maxDelay, policy.delay * Math.pow(policy.factor, attempt - 1));
+        return Math.round(policy.jitter ? backoff * (0.5 + Math.random() / 2) : backoff);
+    },
+
+    /**
+     * Waits for a delay, rejecting early if the signal aborts.
+     * @param {number} delay - Delay in milliseconds
+     * @param {AbortSignal} [signal] - Abort signal
+     * @returns {Promise<void>}
+     */
+    _wait(delay, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(signal.reason || new DOMException('The operation was aborted.', 'AbortError'));
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason || new DOMException('The operation was aborted.', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, delay);
+
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    },
+
+    /**
+     * Sends a request through the configured transport. Uploads with files and an
+     * onProgress callback use XMLHttpRequest (for real upload progress) unless
+     * transport is forced; everything else uses fetch.
+     * @param {string} url - Target URL
+     * @param {Object} requestOptions - Fetch options
+     * @param {Object} config - Configuration object
+     * @param {HTMLFormElement|null} context - The form context passed to onProgress
+     * @returns {Promise<Response|Object>} Fetch response or a Response-compatible object
+     */
+    _sendRequest(url, requestOptions, config, context) {
+        const hasFiles = requestOptions.body instanceof FormData && requestOptions.body.hasFiles();
+        const useXhr = config.transport === 'xhr'
+            || (config.transport === 'auto' && hasFiles && typeof config.onProgress === 'function' && !config.sse);
+
+        if (!useXhr) return fetch(url, requestOptions);
+
+        this._log(config, 'debug', 'Sending through XHR transport', { url });
+        return this._sendXhr(url, requestOptions, config, context);
+    },
+
+    /**
+     * Sends a request with XMLHttpRequest, reporting upload progress as
+     * { loaded, total, percent, rate, eta } (rate in bytes/s, eta in seconds).
+     * @param {string} url - Target URL
+     * @param {Object} requestOptions - Fetch options (method, body, headers, signal)
+     * @param {Object} config - Configuration object
+     * @param {HTMLFormElement|null} context - The form context passed to onProgress
+     * @returns {Promise<Object>} Response-compatible object
+     */
+    _sendXhr(url, requestOptions, config, context) {
+        return new Promise((resolve, reject) => {
+            const { signal } = requestOptions;
+            if (signal && signal.aborted) {
+                reject(signal.reason || new DOMException('The operation was aborted.', 'AbortError'));
+                return;
+            }
+
+            const xhr = new XMLHttpRequest();
+            const startedAt = Date.now();
+
+            xhr.open(requestOptions.method || 'GET', url);
+            xhr.responseType = 'blob'; // Keeps binary downloads intact; text() and json() decode the Blob
+            Object.entries(requestOptions.headers || {}).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+            if (requestOptions.credentials === 'include') xhr.withCredentials = true;
+
+            const onAbort = () => xhr.abort();
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            const cleanup = () => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+
+            xhr.upload.onprogress = (event) => {
+                if (!event.lengthComputable) return;
+
+                const progressData = this._createProgressData(event.loaded, event.total, startedAt);
+
+                if (config.onProgress) config.onProgress(context, progressData);
+                this._dispatchEvent(config, context, 'progress', { progress: progressData });
+                this._log(config, 'debug', 'Upload progress', progressData);
+            };
+
+            xhr.onload = () => {
+                cleanup();
+                resolve(this._createXhrResponse(xhr, url));
+            };
+            xhr.onerror = () => {
+                cleanup();
+                reject(new TypeError('Network request failed'));
+            };
+            xhr.onabort = () => {
+                cleanup();
+                reject((signal && signal.reason) || new DOMException('The operation was aborted.', 'AbortError'));
+            };
+
+            xhr.send(requestOptions.body);
+        });
+    },
+
+    /**
+     * Wraps a completed XMLHttpRequest in a Response-compatible object so it can go
+     * through the same response classification as fetch.
+     * @param {XMLHttpRequest} xhr - Completed request
+     * @param {string} url - Requested URL
+     * @returns {Object} Object with ok, status, statusText, url, headers, text(), json() and blob()
+     */
+    _createXhrResponse(xhr, url) {
+        const headers = new Headers();
+        (xhr.getAllResponseHeaders() || '').trim().split(/[\r\n]+/).forEach(line => {
+            const separatorIndex = line.indexOf(':');
+            if (separatorIndex > 0) headers.append(line.slice(0, separatorIndex).trim(), line.slice(separatorIndex + 1).trim());
+        });
+
+        const body = xhr.response instanceof Blob
+            ? xhr.response
+            : new Blob([xhr.responseText || ''], { type: headers.get('Content-Type') || '' });
+        const readText = () => new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(body);
+        });
+
+        return {
+            ok: xhr.status >= 200 && xhr.status < 300,
+            status: xhr.status,
+            statusText: xhr.statusText,
+            url: xhr.responseURL || url,
+            headers,
+            body: null,
+            text: readText,
+            json: () => readText().then(text => JSON.parse(text)),
+            blob: () => Promise.resolve(body)
+        };
+    },
+
+    /**
+     * Builds the progress object passed to onProgress.
+     * @param {number} loaded - Bytes sent
+     * @param {number} total - Bytes to send
+     * @param {number} startedAt - Start timestamp in milliseconds
+     * @returns {Object} { loaded, total, percent, rate (bytes/s), eta (seconds) }
+     */
+    _createProgressData(loaded, total, startedAt) {
+        const elapsedSeconds = Math.max((Date.now() - startedAt) / 1000, 0.001);
+        const rate = loaded / elapsedSeconds;
+        return {
+            loaded,
+            total,
+            percent: total > 0 ? Math.min(100, Math.round((loaded / total) * 100)) : 0,
+            rate,
+            eta: rate > 0 ? (total - loaded) / rate : Infinity
+        };
+    },
+
+    /**
+     * Uploads every File of a form in chunks and replaces it in the FormData with
+     * the upload reference (the tus upload URL, or the upload id for 'simple'), so
+     * the form submission itself carries no file bytes. Progress across all files
+     * is reported through onProgress and gnex:progress. Failures are reported as
+     * 'upload' errors.
+     * @param {FormData} formData - Form data, modified in place
+     * @param {string} url - Form submission URL (default upload endpoint)
+     * @param {Object} config - Configuration object
+     * @param {HTMLFormElement|null} context - The form context
+     * @param {AbortSignal} signal - Submission abort signal
+     */
+    async _uploadFormFiles(formData, url, config, context, signal) {
+        const entries = [...formData.entries()];
+        const files = entries.filter(([, value]) => value instanceof File);
+        const total = files.reduce((sum, [, file]) => sum + file.size, 0);
+        const startedAt = Date.now();
+        const loadedByFile = new Map();
+
+        const reportProgress = (file, loaded) => {
+            loadedByFile.set(file, loaded);
+            const progressData = this._createProgressData([...loadedByFile.values()].reduce((sum, bytes) => sum + bytes, 0), total, startedAt);
+            if (config.onProgress) config.onProgress(context, progressData);
+            this._dispatchEvent(config, context, 'progress', { progress: progressData });
+        };
+
+        try {
+            const references = new Map();
+            for (const [fieldName, file] of files) {
+                references.set(file, await this._uploadInChunks(file, fieldName, config.uploadUrl ? this._resolveUrl(config.uploadUrl, config) : url, config, context, signal,
+                    loaded => reportProgress(file, loaded)));
+            }
+
+            [...new Set(entries.map(([name]) => name))].forEach(name => formData.delete(name));
+            entries.forEach(([name, value]) => formData.append(name, value instanceof File ? references.get(value) : value));
+        } catch (error) {
+            const gnexError = this._toGnexError(error);
+            if (gnexError.kind !== 'cancelled' && gnexError.kind !== 'aborted') {
+                await this._reportError(config, 'upload', context, gnexError);
+            }
+            throw gnexError;
+        }
+    },
+
+    /**
+     * Uploads one file in chunks. The 'tus' protocol creates the upload with a POST
+     * (Upload-Length, Upload-Metadata), remembers its URL in localStorage and sends
+     * the chunks with PATCH from the offset the server reports; interrupted uploads
+     * resume after a HEAD request. The 'simple' protocol POSTs chunks with
+     * Content-Range and X-Upload-Id headers, chunkParallel at a time.
+     * @param {File} file - File to upload
+     * @param {string} fieldName - Form field name
+     * @param {string} endpoint - Upload endpoint
+     * @param {Object} config - Configuration object
+     * @param {HTMLFormElement|null} context - The form context
+     * @param {AbortSignal} signal - Abort signal
+     * @param {Function} onBytes - Called with the bytes of this file stored so far
+     * @returns {Promise<string>} Upload reference (tus upload URL or upload id)
+     */
+    async _uploadInChunks(file, fieldName, endpoint, config, context, signal, onBytes) {
+        const chunkSize = Math.max(1, Number(config.chunkSize) || this.defaults.chunkSize);
+        endpoint = new URL(endpoint, document.baseURI).href;
+        const fingerprint = `gnex-upload:${endpoint}:${fieldName}:${file.name}:${file.size}:${file.lastModified}`;
+
+        if (config.chunkedUpload === 'simple') {
+            const uploadId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+            const offsets = Array.from({ length: Math.max(1, Math.ceil(file.size / chunkSize)) }, (_, index) => index * chunkSize);
+
+            let stored = 0;
+            let nextIndex = 0;
+            let failure = null;
+            // The first chunk failing for good stops the other workers
+            const workersController = new AbortController();
+            const stopWorkers = () => workersController.abort(signal.reason);
+            if (signal) signal.addEventListener('abort', stopWorkers, { once: true });
+
+            const worker = async () => {
+                while (!failure && nextIndex < offsets.length) {
+                    const start = offsets[nextIndex++];
+                    const chunk = file.slice(start, start + chunkSize);
+                    await this._sendChunk(endpoint, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/octet-stream',
+                            'Content-Range': `bytes ${start}-${start + Math.max(chunk.size, 1) - 1}/${file.size}`,
+                            'X-Upload-Id': uploadId,
+                            'X-File-Name': encodeURIComponent(file.name)
+                        },
+                        body: chunk
+                    }, config, context, workersController.signal).catch(error => {
+                        if (!failure) {
+                            failure = error;
+                            workersController.abort(error);
+                        }
+                        throw failure;
+                    });
+                    stored += chunk.size;
+                    onBytes(stored);
+                }
+            };
+
+            try {
+                await Promise.all(Array.from({ length: Math.max(1, Math.min(Number(config.chunkParallel) || 1, offsets.length)) }, worker));
+            } finally {
+                if (signal) signal.removeEventListener('abort', stopWorkers);
+            }
+            return uploadId;
+        }
+
+        const tusHeaders = { 'Tus-Resumable': '1.0.0' };
+        let uploadUrl = this._readUploadUrl(fingerprint);
+        let offset = null;
+
+        if (uploadUrl) {
+            offset = await this._fetchUploadOffset(uploadUrl, tusHeaders, config, context, signal);
+            if (offset === null) uploadUrl = null;
+            if (offset !== null) this._log(config, 'debug', 'Resuming upload', { file: file.name, offset });
+        }
+
+        if (!uploadUrl) {
+            const metadata = { filename: file.name, filetype: file.type, fieldname: fieldName };
+            const response = await this._sendChunk(endpoint, {
+                method: 'POST',
+                headers: {
+                    ...tusHeaders,
+                    'Upload-Length': String(file.size),
+                    'Upload-Metadata': Object.entries(metadata)
+                        .map(([key, value]) => `${key} ${btoa(unescape(encodeURIComponent(value || '')))}`)
+                        .join(',')
+                }
+            }, config, context, signal);
+
+            const location = response.headers.get('Location');
+            if (!location) throw new GnexError('upload', 'The upload server did not return a Location header.');
+            uploadUrl = new URL(location, endpoint).href;
+            offset = Number(response.headers.get('Upload-Offset')) || 0;
+            this._writeUploadUrl(fingerprint, uploadUrl, config);
+        }
+
+        const policy = this._resolveRetryPolicy(config);
+        let failures = 0;
+
+        onBytes(offset);
+        while (offset < file.size) {
+            const chunk = file.slice(offset, offset + chunkSize);
+            let response;
+            try {
+                response = await this._sendChunk(uploadUrl, {
+                    method: 'PATCH',
+                    headers: { ...tusHeaders, 'Upload-Offset': String(offset), 'Content-Type': 'application/offset+octet-stream' },
+                    body: chunk
+                }, config, context, signal, 0);
+            } catch (error) {
+                const gnexError = this._toGnexError(error);
+                if (gnexError.kind === 'aborted' || gnexError.kind === 'cancelled' || ++failures > config.chunkRetries) throw gnexError;
+
+                const delay = this._computeRetryDelay(policy, failures, gnexError.response);
+                if (config.onRetry) config.onRetry(context, { attempt: failures, attempts: config.chunkRetries, delay, status: gnexError.status, error: gnexError });
+                this._log(config, 'debug', 'Retrying upload chunk', { url: uploadUrl, offset, attempt: failures, attempts: config.chunkRetries, delay });
+                await this._wait(delay, signal);
+
+                // Only the server knows how much of the failed chunk it stored
+                offset = await this._fetchUploadOffset(uploadUrl, tusHeaders, config, context, signal);
+                if (offset === null) throw new GnexError('upload', 'The upload no longer exists on the server.', { cause: gnexError });
+                onBytes(offset);
+                continue;
+            }
+
+            failures = 0;
+
+            const reportedOffset = Number(response.headers.get('Upload-Offset'));
+            offset = response.headers.has('Upload-Offset') && Number.isFinite(reportedOffset) ? reportedOffset : offset + chunk.size;
+            onBytes(offset);
+        }
+
+        this._writeUploadUrl(fingerprint, null, config);
+        return uploadUrl;
+    },
+
+    /**
+     * Asks a tus server how many bytes of an upload it stored (HEAD).
+     * @param {string} uploadUrl - Upload URL
+     * @param {Object} tusHeaders - Protocol headers
+     * @param {Object} config - Configuration object
+     * @param {HTMLFormElement|null} context - The form context
+     * @param {AbortSignal} signal - Abort signal
+     * @returns {Promise<number|null>} Server offset, or null when the upload is gone
+     */
+    async _fetchUploadOffset(uploadUrl, tusHeaders, config, context, signal) {
+        const response = await this._sendChunk(uploadUrl, { method: 'HEAD', headers: { ...tusHeaders } }, config, context, signal)
+            .catch(error => {
+                if (error.kind === 'http' && [404, 410].includes(error.status)) return null;
+                throw error;
+            });
+        if (!response || !response.headers.has('Upload-Offset')) return null;
+
+        const offset = Number(response.headers.get('Upload-Offset'));
+        return Number.isFinite(offset) ? offset : null;
+    },
+
+    /**
+     * Sends one upload request through the CSRF handling and request interceptors,
+     * retrying network failures and retryable statuses with backoff.
+     * @param {string} url - Target URL
+     * @param {Object} options - Fetch options
+     * @param {Object} config - Configuration object
+     * @param {HTMLFormElement|null} context - The form context
+     * @param {AbortSignal} signal - Abort signal
+     * @param {number} [retries] - Retries allowed (defaults to chunkRetries)
+     * @returns {Promise<Response>} Successful response, rejects with a GnexError
+     */
+    async _sendChunk(url, options, config, context, signal, retries = config.chunkRetries) {
+        const policy = this._resolveRetryPolicy(config);
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const request = await this.interceptors.request.run({
+                    url,
+                    options: { ...this._applyRequestSecurity(url, options, config), signal },
+                    config,
+                    context
+                });
+                if (request === false) throw new GnexError('cancelled', 'Upload cancelled by request interceptor.');
+
+                const response = await fetch(request.url, request.options);
+                if (response.ok) return response;
+                throw new GnexError('http', `HTTP ${response.status}`, { status: response.status, response });
+            } catch (error) {
+                const gnexError = this._toGnexError(error);
+                const retryable = gnexError.kind === 'network' || (gnexError.kind === 'http' && policy.statuses.includes(gnexError.status));
+                if (!retryable || attempt > retries) throw gnexError;
+
+                const delay = this._computeRetryDelay(policy, attempt, gnexError.response);
+                if (config.onRetry) config.onRetry(context, { attempt, attempts: retries, delay, status: gnexError.status, error: gnexError });
+                this._log(config, 'debug', 'Retrying upload request', { url, attempt, attempts: retries, delay });
+                await this._wait(delay, signal);
+            }
+        }
+    },
+
+    /**
+     * Reads a remembered tus upload URL.
+     * @param {string} fingerprint - File fingerprint
+     * @returns {string|null} Upload URL
+     */
+    _readUploadUrl(fingerprint) {
+        try {
+            return window.localStorage.getItem(fingerprint);
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Remembers (or forgets, with null) a tus upload URL for resuming.
+     * @param {string} fingerprint - File fingerprint
+     * @param {string|null} uploadUrl - Upload URL
+     * @param {Object} config - Configuration object
+     */
+    _writeUploadUrl(fingerprint, uploadUrl, config) {
+        try {
+            if (uploadUrl) {
+                window.localStorage.setItem(fingerprint, uploadUrl);
+            } else {
+                window.localStorage.removeItem(fingerprint);
+            }
+        } catch (e) {
+            this._log(config, 'warn', 'Could not store the upload URL', { error: e });
+        }
+    },
+
+    /**
+     * Performs a standalone AJAX request. With poll or on the request repeats;
+     * see _loadRepeatedly().
+     * @param {string} url - Target URL
+     * @param {Object} options - Custom configuration
+     * @returns {Object} Thenable handle with cancel method, resolving to { type, data, response }
+     *                   and rejecting with a GnexError
+     */
+    load(url, options = {}) {
+        if (options.poll || options.on) return this._loadRepeatedly(url, options);
+
+        const requestConfig = { ...this._mergeConfig(this.defaults, options), async: true };
+        const resolvedUrl = this._resolveUrl(url, requestConfig);
+        const requestUrl = requestConfig.params ? this._buildUrl(resolvedUrl, requestConfig.params) : resolvedUrl;
+        const dedupeKey = this._getDedupeKey(requestUrl, requestConfig);
+
+        if (dedupeKey && this._inflightLoads.has(dedupeKey)) {
+            this._log(requestConfig, 'debug', 'Joining in-flight request', { key: dedupeKey });
+            return this._joinInflightLoad(this._inflightLoads.get(dedupeKey), requestConfig);
+        }
+
+        const abortController = new AbortController();
+        const requestId = `gnex-load-${Date.now()}`;
+        const requestContext = { id: requestId };
+        const cancel = () => this.cancel(requestContext);
+
+        this._abortControllers.set(requestContext, abortController);
+
+        const requestOptions = {
+            method: requestConfig.method,
+            headers: { ...requestConfig.headers },
+            signal: abortController.signal,
+            redirect: 'manual'
+        };
+        this._applyBody(requestOptions, requestConfig.body, requestConfig.encoding, null, requestConfig);
+
+        const send = async () => {
+            const sendAllowed = !(requestConfig.beforeSend && requestConfig.beforeSend(null, null, requestOptions) === false)
+                && this._dispatchEvent(requestConfig, null, 'before-send', { url: requestUrl, data: requestConfig.body, options: requestOptions }, true);
+            if (!sendAllowed) {
+                this._abortControllers.delete(requestContext);
+                if (requestConfig.resetLoadingState) requestConfig.resetLoadingState(null);
+                this._log(requestConfig, 'debug', 'Load cancelled by beforeSend');
+                throw new GnexError('cancelled', 'Load cancelled by beforeSend.');
+            }
+
+            if (requestConfig.setLoadingState) requestConfig.setLoadingState(null);
+
+            let outcome = {};
+            try {
+                outcome.result = await this._request({
+                    url: requestUrl,
+                    options: requestOptions,
+                    config: requestConfig,
+                    context: null,
+                    abortKey: requestContext,
+                    abortController
+                });
+                return outcome.result;
+            } catch (error) {
+                outcome = { error };
+                throw error;
+            } finally {
+                if (requestConfig.resetLoadingState) requestConfig.resetLoadingState(null);
+                this._dispatchEvent(requestConfig, null, 'complete', outcome);
+            }
+        };
+
+        const promise = requestConfig.concurrencyKey
+            ? this._schedule({ key: requestConfig.concurrencyKey, abortKey: requestContext, config: requestConfig, abortController, task: send })
+            : send();
+
+        if (!dedupeKey) return this._createRequestHandle(promise, cancel);
+
+        const inflight = { promise, cancel, subscribers: 0, url: requestUrl };
+        this._inflightLoads.set(dedupeKey, inflight);
+        const settle = () => {
+            if (this._inflightLoads.get(dedupeKey) === inflight) this._inflightLoads.delete(dedupeKey);
+        };
+        promise.then(settle, settle);
+
+        return this._joinInflightLoad(inflight);
+    },
+
+    /**
+     * Runs load() repeatedly: every poll milliseconds (the first request is sent
+     * at once) and/or on a trigger. Polls pause while the document is hidden and
+     * back off with the retry factor after errors. 'change' and 'input' listen on
+     * triggerElement and send its name=value as params; 'revealed' loads once when
+     * the element becomes visible (at once where IntersectionObserver is missing);
+     * 'every Ns' polls without an initial request.
+     * Loads of one handle share a concurrency key; a newer load replaces the one
+     * in flight unless concurrency is set.
+     * @param {string} url - Target URL
+     * @param {Object} options - Custom configuration (poll, on, triggerElement and load() options)
+     * @returns {Object} Thenable handle for the first result, with stop() (also cancel())
+     */
+    _loadRepeatedly(url, options) {
+        const { poll, on, triggerElement, ...loadOptions } = options;
+        const config = this._mergeConfig(this.defaults, options);
+        const policy = this._resolveRetryPolicy(config);
+        const concurrencyKey = options.concurrencyKey || { id: `gnex-trigger-${Date.now()}` };
+        const everyMatch = /^every\s+(\d+(?:\.\d+)?)(ms|s|m)?$/i.exec(String(on || '').trim());
+        const interval = everyMatch
+            ? Number(everyMatch[1]) * ({ ms: 1, s: 1000, m: 60000 }[(everyMatch[2] || 's').toLowerCase()])
+            : Number(poll) || 0;
+        const cleanups = [];
+        let stopped = false;
+        let failures = 0;
+        let timer = null;
+        let current = null;
+        let firstSettled = false;
+        let loadNow = !everyMatch && !(on && !poll);
+        let resolveFirst;
+        let rejectFirst;
+        const first = new Promise((resolve, reject) => {
+            resolveFirst = resolve;
+            rejectFirst = reject;
+        });
+
+        const settleFirst = (settle, value) => {
+            if (firstSettled) return;
+            firstSettled = true;
+            settle(value);
+        };
+
+        const schedule = () => {
+            if (stopped || !interval) return;
+            clearTimeout(timer);
+            const delay = Math.min(interval * policy.factor ** failures, Math.max(interval, policy.maxDelay));
+            timer = setTimeout(tick, delay);
+        };
+
+        const run = (params = null) => {
+            if (stopped) return;
+            clearTimeout(timer);
+            const requestParams = params ? { ...loadOptions.params, ...params } : loadOptions.params;
+            current = this.load(url, { ...loadOptions, params: requestParams, concurrencyKey, concurrency: loadOptions.concurrency || 'replace' });
+            current.then(
+                result => {
+                    failures = 0;
+                    settleFirst(resolveFirst, result);
+                    schedule();
+                },
+                error => {
+                    if (error.kind !== 'cancelled') {
+                        failures++;
+                        settleFirst(rejectFirst, error);
+                    }
+                    schedule();
+                }
+            );
+        };
+
+        const tick = () => {
+            if (stopped) return;
+            if (typeof document === 'undefined' || !document.hidden) {
+                run();
+                return;
+            }
+
+            this._log(config, 'debug', 'Polling paused while the document is hidden');
+            const onVisible = () => {
+                if (document.hidden) return;
+                document.removeEventListener('visibilitychange', onVisible);
+                run();
+            };
+            document.addEventListener('visibilitychange', onVisible);
+            cleanups.push(() => document.removeEventListener('visibilitychange', onVisible));
+        };
+
+        const stop = () => {
+            if (stopped) return;
+            stopped = true;
+            clearTimeout(timer);
+            cleanups.forEach(cleanup => cleanup());
+            this.cancel(concurrencyKey);
+            if (current) current.cancel();
+            settleFirst(rejectFirst, new GnexError('cancelled', 'Repeated load stopped.'));
+            this._log(config, 'debug', 'Repeated load stopped', { url });
+        };
+
+        if (on && !everyMatch) {
+            const selector = triggerElement || config.target;
+            const element = typeof selector === 'string' ? document.querySelector(selector) : selector;
+            if (!element) throw new Error(`An element is required for the "${on}" trigger.`);
+
+            if (on === 'revealed' && typeof IntersectionObserver === 'undefined') {
+                this._log(config, 'warn', 'IntersectionObserver is not supported; loading at once', { url });
+                loadNow = true;
+            } else if (on === 'revealed') {
+                const observer = new IntersectionObserver(entries => {
+                    if (!entries.some(entry => entry.isIntersecting)) return;
+                    observer.disconnect();
+                    run();
+                });
+                observer.observe(element);
+                cleanups.push(() => observer.disconnect());
+            } else if (on === 'change' || on === 'input') {
+                const listener = () => run(element.name ? { [element.name]: element.value } : null);
+                element.addEventListener(on, listener);
+                cleanups.push(() => element.removeEventListener(on, listener));
+            } else {
+                throw new Error(`Unknown load trigger "${on}".`);
+            }
+        }
+
+        if (loadNow) {
+            run();
+        } else {
+            schedule();
+        }
+
+        const handle = this._createRequestHandle(first, stop);
+        handle.stop = stop;
+        return handle;
+    },
+
+    /**
+     * Builds the key under which identical in-flight load() calls are shared,
+     * or null when deduplication does not apply (disabled, request body or a
+     * method other than GET/HEAD). Calls only share a request when their headers,
+     * fetch security options and redirect handling match too.
+     * @param {string} url - Request URL including params
+     * @param {Object} config - Configuration object
+     * @returns {string|null} Dedupe key
+     */
+    _getDedupeKey(url, config) {
+        const method = (config.method || 'GET').toUpperCase();
+        if (!config.dedupe || config.body != null || (method !== 'GET' && method !== 'HEAD')) return null;
+
+        const headers = Object.entries(config.headers || {})
+            .map(([name, value]) => [name.toLowerCase(), String(value)])
+            .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+        const fetchOptions = ['credentials', 'mode', 'integrity', 'referrerPolicy'].map(optionName => config[optionName] || null);
+        return JSON.stringify([method, new URL(url, document.baseURI).href, headers, fetchOptions, Boolean(config.navigate)]);
+    },
+
+    /**
+     * Returns a handle sharing an in-flight load(). Cancelling the handle rejects
+     * only its own promise; the request itself is aborted once every handle
+     * sharing it has been cancelled. A joining call shares only the network
+     * response: its own swap, history and callbacks run when the request settles.
+     * @param {Object} inflight - Shared request ({ promise, cancel, subscribers, url })
+     * @param {Object} [config] - Configuration of a joining call (none for the call that started the request)
+     * @returns {Object} Thenable handle with cancel method
+     */
+    _joinInflightLoad(inflight, config = null) {
+        let cancelled = false;
+        let rejectOwn;
+        const ownCancel = new Promise((resolve, reject) => { rejectOwn = reject; });
+
+        const shared = !config ? inflight.promise : inflight.promise.then(
+            result => {
+                if (!cancelled && result.type !== 'queued' && result.type !== 'sse') {
+                    const historyUrl = this._getHistoryUrl(inflight.url, { method: config.method }, result.response, config);
+                    this._deliverResponse(result.type, result.data, null, config, historyUrl, result.response);
+                }
+                return result;
+            },
+            async error => {
+                if (!cancelled) await this._reportRequestError(config, null, error.cause || error, null);
+                throw error;
+            }
+        );
+
+        inflight.subscribers++;
+        const promise = Promise.race([shared, ownCancel]);
+
+        return this._createRequestHandle(promise, () => {
+            if (cancelled) return;
+            cancelled = true;
+            rejectOwn(new GnexError('aborted', 'The request was cancelled.'));
+            if (--inflight.subscribers === 0) inflight.cancel();
+        });
+    },
+
+    /**
+     * Opens a long-lived event stream over fetch, so unlike native EventSource it
+     * supports custom headers and request bodies. The connection is re-established
+     * when it ends or fails, waiting the server-provided retry: interval and sending
+     * the Last-Event-ID header. HTTP errors below 500, 204 responses and non
+     * event-stream responses close the stream for good.
+     * @param {string} url - Stream URL
+     * @param {Object} options - Custom configuration (SSE routing options, method, headers, body,
+     *                           encoding (defaults to 'json' here), reconnectDelay, maxReconnects,
+     *                           lastEventId, onStateChange)
+     * @returns {EventTarget} Stream handle with close(), state and lastEventId, dispatching
+     *                        'connecting', 'open', 'reconnecting', 'closed' and 'statechange' events
+     */
+    stream(url, options = {}) {
+        const streamConfig = { ...this._mergeConfig(this.defaults, options), sse: true };
+        url = this._resolveUrl(url, streamConfig);
+        const closeController = new AbortController();
+        const handle = new EventTarget();
+        let state = null;
+        let lastEventId = streamConfig.lastEventId || '';
+        let reconnectDelay = streamConfig.reconnectDelay;
+        let failures = 0;
+
+        const setState = (nextState) => {
+            if (state === nextState) return;
+            state = nextState;
+            this._log(streamConfig, 'debug', 'Stream state changed', { url, state: nextState });
+            if (streamConfig.onStateChange) streamConfig.onStateChange(nextState, handle);
+            handle.dispatchEvent(new CustomEvent(nextState));
+            handle.dispatchEvent(new CustomEvent('statechange', { detail: { state: nextState } }));
+        };
+
+        const close = () => {
+            if (state === 'closed') return;
+            closeController.abort();
+            setState('closed');
+        };
+
+        const eventConfig = {
+            ...streamConfig,
+            onEvent: (eventType, eventData, eventMeta) => {
+                lastEventId = eventMeta.id;
+                if (eventMeta.retry !== null) reconnectDelay = eventMeta.retry;
+                if (streamConfig.onEvent) streamConfig.onEvent(eventType, eventData, eventMeta);
+            }
+        };
+
+        const connect = async () => {
+            setState('connecting');
+
+            while (!closeController.signal.aborted) {
+                let request = null;
+                try {
+                    const headers = { Accept: 'text/event-stream', ...streamConfig.headers };
+                    if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+
+                    const requestOptions = { method: streamConfig.method, headers, cache: 'no-store', signal: closeController.signal };
+                    this._applyBody(requestOptions, streamConfig.body, options.encoding || 'json', null, streamConfig);
+
+                    request = await this.interceptors.request.run({
+                        url,
+                        options: this._applyRequestSecurity(url, requestOptions, streamConfig),
+                        config: streamConfig,
+                        context: null
+                    });
+                    if (request === false) {
+                        close();
+                        return;
+                    }
+
+                    const response = await fetch(request.url, request.options);
+                    this._refreshCsrfToken(response, request.url, streamConfig);
+                    const contentType = response.headers.get('Content-Type') || '';
+
+                    if (response.status === 204) {
+                        close();
+                        return;
+                    }
+                    if (!response.ok || !contentType.includes('text/event-stream')) {
+                        const error = new Error(response.ok ? `Unexpected Content-Type "${contentType}"` : `HTTP ${response.status}`);
+                        if (response.ok || response.status < 500) {
+                            await this._reportError(streamConfig, 'stream', null, error, request);
+                            close();
+                            return;
+                        }
+                        throw error;
+                    }
+
+                    failures = 0;
+                    setState('open');
+                    await this._processSseStream(response, null, eventConfig, lastEventId);
+                } catch (error) {
+                    if (closeController.signal.aborted) return;
+                    failures++;
+                    await this._reportError(streamConfig, 'stream', null, error, request);
+                    if (streamConfig.maxReconnects !== null && failures > streamConfig.maxReconnects) {
+                        close();
+                        return;
+                    }
+                }
+
+                if (closeController.signal.aborted) return;
+                setState('reconnecting');
+                try {
+                    await this._wait(reconnectDelay, closeController.signal);
+                } catch (e) {
+                    return;
+                }
+            }
+        };
+
+        Object.defineProperties(handle, {
+            state: { get: () => state },
+            lastEventId: { get: () => lastEventId },
+            close: { value: close }
+        });
+
+        connect();
+        return handle;
+    },
+
+    /**
+     * Runs error interceptors and then the onError callback, unless an interceptor
+     * returned false.
+     * @param {Object} config - Configuration object
+     * @param {string} errorType - Type of error
+     * @param {HTMLFormElement|null} context - The form context
+     * @param {any} errorDetails - Error details
+     * @param {Object|null} request - Request built by the request interceptors, when available
+     */
+    async _reportError(config, errorType, context, errorDetails, request = null) {
+        let errorInfo = { type: errorType, details: errorDetails, context, request };
+
+        try {
+            errorInfo = await this.interceptors.error.run(errorInfo);
+        } catch (interceptorError) {
+            this._log(config, 'error', 'Error interceptor failed', { error: interceptorError });
+        }
+
+        if (errorInfo === false) {
+            this._log(config, 'debug', 'Error suppressed by error interceptor', { type: errorType });
+            return;
+        }
+        if (config.onError) config.onError(errorInfo.type, context, errorInfo.details);
+        this._dispatchEvent(config, context, 'error', { type: errorInfo.type, details: errorInfo.details, request });
+    },
+
+    /**
+     * Dispatches a bubbling gnex:* lifecycle CustomEvent on the form, or on the
+     * document when there is none.
+     * @param {Object} config - Configuration object (domEvents disables the events)
+     * @param {HTMLFormElement|null} context - The form context
+     * @param {string} name - Event name without the gnex: prefix
+     * @param {Object} detail - Event detail
+     * @param {boolean} [cancelable] - Whether preventDefault() is honored
+     * @returns {boolean} False when the event was cancelled
+     */
+    _dispatchEvent(config, context, name, detail, cancelable = false) {
+        if (!config.domEvents || typeof document === 'undefined') return true;
+
+        const target = context && typeof context.dispatchEvent === 'function' ? context : document;
+        return target.dispatchEvent(new CustomEvent(`gnex:${name}`, { bubbles: true, cancelable, detail: { ...detail, context } }));
+    },
+
+    /**
+     * Cancels an ongoing request, along with requests queued or debounced for the same form.
+     * @param {Object|HTMLFormElement} context - Form element or request context
+     */
+    cancel(context) {
+        const controller = this._abortControllers.get(context);
+        if (controller) {
+            controller.abort();
+            this._abortControllers.delete(context);
+        }
+
+        const state = this._concurrencyStates.get(context);
+        if (state) state.waiting.forEach(waitingController => waitingController.abort());
+    },
+
+    /**
+     * Triggers success callback for a form.
+     * @param {HTMLFormElement} formElement - The form context
+     * @param {string} responseType - Type of response
+     * @param {any} responseData - Response data
+     */
+    _handleSuccess(formElement, responseType, responseData) {
+        const config = this._formConfigs.get(formElement) || this.defaults;
+        if (config.onSuccess) config.onSuccess(responseType, formElement, responseData);
+    },
+
+    /**
+     * Triggers error callback for a form.
+     * @param {HTMLFormElement} formElement - The form context
+     * @param {string} errorType - Type of error
+     * @param {any} errorDetails - Error details
+     */
+    _handleError(formElement, errorType, errorDetails) {
+        const config = this._formConfigs.get(formElement) || this.defaults;
+        if (config.onError) config.onError(errorType, formElement, errorDetails);
+    }
+};
+
+
+
+/**
+ * Error rejected by the promise-based API.
+ * kind is one of: timeout, aborted, http, network, parse, cancelled, upload.
+ */
+class GnexError extends Error {
+    /**
+     * @param {string} kind - Error kind
+     * @param {string} message - Error message
+     * @param {Object} [extra] - { status, response, details, cause }
+     */
+    constructor(kind, message, { status = null, response = null, details = null, cause } = {}) {
+        super(message);
+        this.name = 'GnexError';
+        this.kind = kind;
+        this.status = status;       // HTTP status for 'http' errors
+        this.response = response;   // Failed response for 'http' errors
+        this.details = details;     // Parsed validation errors, when the server sent them
+        if (cause !== undefined) this.cause = cause;
+    }
+}
+
+Gnex.GnexError = GnexError;
+
+/**
+ * Checks if FormData contains files.
+ * @returns {boolean} True if files are present
+ */
+FormData.prototype.hasFiles = function () {
     return [...this.values()].some(value => value instanceof File || value instanceof Blob);
-};
\ No newline at end of file
+};
+
+/**
+ * Creates the response cache: a front for storage adapters with expiry, LRU
+ * eviction (maxEntries per adapter), pattern and tag invalidation. Adapters
+ * implement get, set, delete, keys and clear, synchronously or with promises.
+ * @param {Object} [settings] - { maxEntries }
+ * @returns {Object} Cache with get, set, register, invalidate, invalidateTags and clear methods
+ */
+function createResponseCache(settings = {}) {
+    const factories = {
+        memory: () => createMemoryCacheAdapter(),
+        session: () => createStorageCacheAdapter(() => window.sessionStorage),
+        local: () => createStorageCacheAdapter(() => window.localStorage),
+        indexeddb: () => createIndexedDbStore('gnex-cache', 'responses')
+    };
+    const adapters = new Map();
+
+    const resolveAdapter = (storage = 'memory') => {
+        if (storage && typeof storage === 'object') {
+            adapters.set(storage, storage);
+            return storage;
+        }
+        if (!adapters.has(storage)) {
+            if (!factories[storage]) throw new Error(`Unknown cache storage "${storage}".`);
+            adapters.set(storage, factories[storage]());
+        }
+        return adapters.get(storage);
+    };
+
+    const isExpired = (entry, now) => entry.staleUntil !== null && now >= entry.staleUntil;
+
+    const removeMatching = async (matches, storage) => {
+        let removedCount = 0;
+        for (const adapter of storage ? [resolveAdapter(storage)] : [...adapters.values()]) {
+            for (const key of await adapter.keys()) {
+                const entry = await adapter.get(key);
+                if (entry && matches(key, entry)) {
+                    await adapter.delete(key);
+                    removedCount++;
+                }
+            }
+        }
+        return removedCount;
+    };
+
+    return {
+        maxEntries: settings.maxEntries || 100, // LRU limit per storage backend
+
+        /**
+         * Registers a named storage backend.
+         * @param {string} name - Name used in the cacheStorage option
+         * @param {Object|Function} adapter - Adapter object or factory returning one
+         */
+        register(name, adapter) {
+            factories[name] = typeof adapter === 'function' ? adapter : () => adapter;
+            adapters.delete(name);
+        },
+
+        /**
+         * Reads an entry, dropping it when past its stale window and marking it as
+         * recently used.
+         * @param {string} key - Cache key
+         * @param {string|Object} [storage] - Storage backend
+         * @returns {Promise<Object|undefined>} Entry with a stale flag (expired but within its stale window)
+         */
+        async get(key, storage) {
+            const adapter = resolveAdapter(storage);
+            const entry = await adapter.get(key);
+            if (!entry) return undefined;
+
+            const now = Date.now();
+            if (isExpired(entry, now)) {
+                await adapter.delete(key);
+                return undefined;
+            }
+
+            await adapter.set(key, { ...entry, accessedAt: now });
+            return { ...entry, stale: entry.expires !== null && now >= entry.expires };
+        },
+
+        /**
+         * Stores an entry, then purges expired entries and evicts the least recently
+         * used ones beyond maxEntries.
+         * @param {string} key - Cache key
+         * @param {Object} entry - { responseType, data, expires, staleUntil, tags } (timestamps in ms, null = never)
+         * @param {string|Object} [storage] - Storage backend
+         */
+        async set(key, entry, storage) {
+            const adapter = resolveAdapter(storage);
+            const now = Date.now();
+            await adapter.set(key, { ...entry, accessedAt: now });
+
+            const liveEntries = [];
+            for (const storedKey of await adapter.keys()) {
+                const storedEntry = await adapter.get(storedKey);
+                if (!storedEntry || isExpired(storedEntry, now)) {
+                    await adapter.delete(storedKey);
+                } else {
+                    liveEntries.push({ key: storedKey, accessedAt: storedEntry.accessedAt || 0 });
+                }
+            }
+
+            liveEntries.sort((a, b) => a.accessedAt - b.accessedAt);
+            for (const { key: evictedKey } of liveEntries.slice(0, Math.max(0, liveEntries.length - this.maxEntries))) {
+                await adapter.delete(evictedKey);
+            }
+        },
+
+        /**
+         * Removes entries whose key matches a pattern: a substring, a glob with *,
+         * a RegExp or a (key, entry) => boolean function.
+         * @param {string|RegExp|Function} pattern - Key pattern
+         * @param {string|Object} [storage] - Storage backend (all used backends when omitted)
+         * @returns {Promise<number>} Number of removed entries
+         */
+        invalidate(pattern, storage) {
+            let matches;
+            if (typeof pattern === 'function') {
+                matches = pattern;
+            } else if (pattern instanceof RegExp) {
+                matches = key => pattern.test(key);
+            } else if (String(pattern).includes('*')) {
+                const escaped = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+                const globPattern = new RegExp(`^${escaped.join('.*')}$`);
+                matches = key => globPattern.test(key);
+            } else {
+                matches = key => key.includes(pattern);
+            }
+            return removeMatching(matches, storage);
+        },
+
+        /**
+         * Removes entries stored with any of the given tags.
+         * @param {string|string[]} tags - Tags to invalidate
+         * @param {string|Object} [storage] - Storage backend (all used backends when omitted)
+         * @returns {Promise<number>} Number of removed entries
+         */
+        invalidateTags(tags, storage) {
+            const tagList = [].concat(tags);
+            return removeMatching((key, entry) => (entry.tags || []).some(tag => tagList.includes(tag)), storage);
+        },
+
+        /**
+         * Removes every entry.
+         * @param {string|Object} [storage] - Storage backend (all used backends when omitted)
+         */
+        async clear(storage) {
+            for (const adapter of storage ? [resolveAdapter(storage)] : [...adapters.values()]) {
+                await adapter.clear();
+            }
+        }
+    };
+}
+
+/**
+ * Creates an in-memory cache adapter. Entries are re-inserted on write so the
+ * key order follows recency.
+ * @returns {Object} Cache adapter
+ */
+function createMemoryCacheAdapter() {
+    const entries = new Map();
+
+    return {
+        get: key => entries.get(key),
+        set(key, entry) {
+            entries.delete(key);
+            entries.set(key, entry);
+        },
+        delete: key => entries.delete(key),
+        keys: () => [...entries.keys()],
+        clear: () => entries.clear()
+    };
+}
+
+/**
+ * Creates a cache adapter over a Web Storage object (JSON-serialized entries).
+ * @param {Function} getStorage - Returns the Storage (resolved lazily)
+ * @param {string} [prefix] - Key prefix isolating Gnex entries
+ * @returns {Object} Cache adapter
+ */
+function createStorageCacheAdapter(getStorage, prefix = 'gnex-cache:') {
+    const adapter = {
+        get(key) {
+            const rawEntry = getStorage().getItem(prefix + key);
+            if (rawEntry === null) return undefined;
+            try {
+                return JSON.parse(rawEntry);
+            } catch (e) {
+                return undefined;
+            }
+        },
+        set(key, entry) {
+            getStorage().setItem(prefix + key, JSON.stringify(entry)); // Quota errors are logged by _writeCache()
+        },
+        delete: key => getStorage().removeItem(prefix + key),
+        keys() {
+            const storage = getStorage();
+            const keys = [];
+            for (let i = 0; i < storage.length; i++) {
+                const storageKey = storage.key(i);
+                if (storageKey && storageKey.startsWith(prefix)) keys.push(storageKey.slice(prefix.length));
+            }
+            return keys;
+        },
+        clear() {
+            adapter.keys().forEach(key => adapter.delete(key));
+        }
+    };
+    return adapter;
+}
+
+/**
+ * Creates a promise-based key/value store over an IndexedDB object store
+ * (out-of-line keys), usable as a cache adapter.
+ * @param {string} dbName - Database name
+ * @param {string} storeName - Object store name
+ * @returns {Object} Store with get, set, delete, keys, values and clear methods
+ */
+function createIndexedDbStore(dbName, storeName) {
+    let databasePromise = null;
+
+    const openDatabase = () => {
+        if (!databasePromise) {
+            databasePromise = new Promise((resolve, reject) => {
+                const openRequest = indexedDB.open(dbName, 1);
+                openRequest.onupgradeneeded = () => openRequest.result.createObjectStore(storeName);
+                openRequest.onsuccess = () => resolve(openRequest.result);
+                openRequest.onerror = () => reject(openRequest.error);
+            });
+        }
+        return databasePromise;
+    };
+
+    const run = (mode, operation) => openDatabase().then(database => new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    }));
+
+    return {
+        get: key => run('readonly', store => store.get(key)),
+        set: (key, value) => run('readwrite', store => store.put(value, key)),
+        delete: key => run('readwrite', store => store.delete(key)),
+        keys: () => run('readonly', store => store.getAllKeys()),
+        values: () => run('readonly', store => store.getAll()),
+        clear: () => run('readwrite', store => store.clear())
+    };
+}
+
+/**
+ * Creates an incremental parser for the text/event-stream format as specified for
+ * EventSource: LF, CR and CRLF line endings (also split across chunks), comments,
+ * the event, data, id and retry fields, and a leading BOM. An event still pending
+ * when the stream ends is discarded.
+ * @param {Function} onEvent - (eventType, eventData, { id, retry }) => {}
+ * @param {string} [lastEventId] - Initial last event id
+ * @returns {Object} Parser with feed(text), end() and state() methods
+ */
+function createSseParser(onEvent, lastEventId = '') {
+    let buffer = '';
+    let isFirstChunk = true;
+    let eventType = '';
+    let eventData = '';
+    let retry = null;
+
+    const dispatchEvent = () => {
+        if (eventData === '') {
+            eventType = '';
+            return;
+        }
+        const data = eventData.endsWith('\n') ? eventData.slice(0, -1) : eventData;
+        const type = eventType || 'message';
+        eventType = '';
+        eventData = '';
+        onEvent(type, data, { id: lastEventId, retry });
+    };
+
+    const processLine = (line) => {
+        if (line === '') {
+            dispatchEvent();
+            return;
+        }
+        if (line[0] === ':') return;
+
+        const colonIndex = line.indexOf(':');
+        const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+        let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+        if (value[0] === ' ') value = value.slice(1);
+
+        switch (field) {
+            case 'event':
+                eventType = value;
+                break;
+            case 'data':
+                eventData += value + '\n';
+                break;
+            case 'id':
+                if (!value.includes('\0')) lastEventId = value;
+                break;
+            case 'retry':
+                if (/^\d+$/.test(value)) retry = Number(value);
+                break;
+            default:
+                break;
+        }
+    };
+
+    return {
+        /**
+         * Feeds decoded text into the parser, dispatching every completed event.
+         * @param {string} text - Decoded chunk
+         */
+        feed(text) {
+            if (isFirstChunk && text) {
+                isFirstChunk = false;
+                if (text[0] === '\uFEFF') text = text.slice(1);
+            }
+            buffer += text;
+
+            let lineStart = 0;
+            for (let i = 0; i < buffer.length; i++) {
+                const char = buffer[i];
+                if (char !== '\n' && char !== '\r') continue;
+                if (char === '\r' && i === buffer.length - 1) break; // May be the first half of a CRLF
+
+                processLine(buffer.slice(lineStart, i));
+                if (char === '\r' && buffer[i + 1] === '\n') i++;
+                lineStart = i + 1;
+            }
+            buffer = buffer.slice(lineStart);
+        },
+
+        /**
+         * Signals the end of the stream, completing a line held back by a trailing CR.
+         */
+        end() {
+            if (buffer.endsWith('\r')) processLine(buffer.slice(0, -1));
+            buffer = '';
+        },
+
+        /**
+         * Returns the reconnection state collected so far.
+         * @returns {Object} { lastEventId, retry }
+         */
+        state() {
+            return { lastEventId, retry };
+        }
+    };
+}
+
+/**
+ * Creates the offline submission queue. Items are persisted in IndexedDB (memory
+ * when unavailable, or any cache-style adapter assigned to storage) with request
+ * bodies serialized, files kept as Blobs. Replays run in insertion order when the
+ * browser comes back online and stop at the first network failure; items failing
+ * otherwise are marked 'failed' and wait for retry() or discard().
+ * @param {Function} replayItem - Sends an item: (item, body, session) => Promise
+ * @param {Function} log - Logs through Gnex: (level, message, data) => {}
+ * @returns {Object} Queue with listen, add, list, replay, retry, discard and clear methods
+ */
+function createSubmissionQueue(replayItem, log) {
+    const sessions = new Map();
+    let sequence = 0;
+    let replaying = null;
+    let listening = false;
+
+    const getStore = () => {
+        if (!queue.storage) {
+            queue.storage = typeof indexedDB !== 'undefined'
+                ? createIndexedDbStore('gnex-queue', 'submissions')
+                : createMemoryCacheAdapter();
+        }
+        return queue.storage;
+    };
+
+    const replayWhenOnline = () => {
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+        queue.replay().catch(error => log('warn', 'Offline queue replay failed', { error }));
+    };
+
+
+    const serializeBody = (body) => {
+        if (body == null) return null;
+        if (body instanceof FormData) {
+            return {
+                kind: 'form-data',
+                entries: [...body.entries()].map(([name, value]) => (value instanceof Blob
+                    ? { name, blob: value.slice(0, value.size, value.type), fileName: value.name || 'blob' }
+                    : { name, value }))
+            };
+        }
+        if (body instanceof URLSearchParams) return { kind: 'url-search-params', value: body.toString() };
+        if (body instanceof Blob) return { kind: 'blob', blob: body };
+        return { kind: 'text', value: String(body) };
+    };
+
+    const restoreBody = (serialized) => {
+        if (!serialized) return undefined;
+        if (serialized.kind === 'form-data') {
+            const formData = new FormData();
+            serialized.entries.forEach(entry => {
+                if (entry.blob) {
+                    formData.append(entry.name, entry.blob, entry.fileName);
+                } else {
+                    formData.append(entry.name, entry.value);
+                }
+            });
+            return formData;
+        }
+        if (serialized.kind === 'url-search-params') return new URLSearchParams(serialized.value);
+        if (serialized.kind === 'blob') return serialized.blob;
+        return serialized.value;
+    };
+
+    const send = async (item) => {
+        const store = getStore();
+        try {
+            await replayItem(item, restoreBody(item.body), sessions.get(item.id));
+            await store.delete(item.id);
+            sessions.delete(item.id);
+            return { sent: true, offline: false };
+        } catch (error) {
+            const offline = !error || error.kind === 'network' || error.kind === 'timeout';
+            await store.set(item.id, {
+                ...item,
+                attempts: item.attempts + 1,
+                status: offline ? 'pending' : 'failed',
+                lastError: { kind: error && error.kind, message: error && error.message, status: error && error.status }
+            });
+            return { sent: false, offline };
+        }
+    };
+
+    const queue = {
+        storage: null, // Storage adapter (get, set, delete, keys, clear); IndexedDB when left null
+
+        /**
+         * Starts replaying: once the page has loaded (items persisted by an earlier
+         * page session) and on every reconnect. Called by Gnex the first time a
+         * configuration enables offline, so pages without offline mode never open
+         * the store.
+         */
+        listen() {
+            if (listening || typeof window === 'undefined') return;
+            listening = true;
+            window.addEventListener('online', replayWhenOnline);
+
+            if (document.readyState === 'complete') {
+                setTimeout(replayWhenOnline, 0);
+            } else {
+                window.addEventListener('load', replayWhenOnline, { once: true });
+            }
+        },
+
+        /**
+         * Stores a request.
+         * @param {string} url - Target URL
+         * @param {Object} options - Fetch options (method, headers, body)
+         * @param {Object} [session] - { config, context } reused when replayed during this page session
+         * @returns {Promise<Object>} Queued item
+         */
+        async add(url, options, session) {
+            const createdAt = Date.now();
+            const item = {
+                id: `gnex-queue-${createdAt}-${sequence}`,
+                sequence: sequence++,
+                url: String(url),
+                method: (options.method || 'POST').toUpperCase(),
+                headers: { ...options.headers },
+                body: serializeBody(options.body),
+                createdAt,
+                attempts: 0,
+                status: 'pending',
+                lastError: null
+            };
+
+            await getStore().set(item.id, item);
+            if (session) sessions.set(item.id, session);
+            queue.listen();
+            return item;
+        },
+
+        /**
+         * Lists queued items in replay order.
+         * @returns {Promise<Object[]>} Items ({ id, url, method, headers, body, createdAt, attempts, status, lastError })
+         */
+        async list() {
+            const store = getStore();
+            const items = [];
+            for (const key of await store.keys()) {
+                const item = await store.get(key);
+                if (item) items.push(item);
+            }
+            return items.sort((a, b) => a.createdAt - b.createdAt || a.sequence - b.sequence);
+        },
+
+        /**
+         * Sends the pending items in order, stopping at the first network failure.
+         * Runs once at a time; concurrent calls share the running replay.
+         * @returns {Promise<number>} Number of items sent
+         */
+        replay() {
+            if (!replaying) {
+                replaying = (async () => {
+                    let sentCount = 0;
+                    for (const item of await queue.list()) {
+                        if (item.status === 'failed') continue;
+                        const outcome = await send(item);
+                        if (outcome.sent) sentCount++;
+                        if (outcome.offline) break;
+                    }
+                    return sentCount;
+                })().finally(() => { replaying = null; });
+            }
+            return replaying;
+        },
+
+        /**
+         * Sends one item again, or marks every failed item as pending and replays the queue.
+         * @param {string} [id] - Item id
+         * @returns {Promise<number>} Number of items sent
+         */
+        async retry(id) {
+            if (replaying) await replaying;
+
+            if (id === undefined) {
+                for (const item of await queue.list()) {
+                    if (item.status === 'failed') await getStore().set(item.id, { ...item, status: 'pending' });
+                }
+                return queue.replay();
+            }
+
+            const item = await getStore().get(id);
+            if (!item) return 0;
+            return (await send(item)).sent ? 1 : 0;
+        },
+
+        /**
+         * Removes one item, or every item when no id is given.
+         * @param {string} [id] - Item id
+         */
+        async discard(id) {
+            if (id === undefined) return queue.clear();
+            await getStore().delete(id);
+            sessions.delete(id);
+        },
+
+        /**
+         * Removes every item.
+         */
+        async clear() {
+            await getStore().clear();
+            sessions.clear();
+        }
+    };
+
+    return queue;
+}
+
+/**
+ * Creates the response parser registry. Parsers are tried newest first, so
+ * registered parsers take precedence over the built-ins: NDJSON (streamed to
+ * onChunk), JSON (application/json and +json), HTML partials (X-Partial-View),
+ * XML, Blob (binary types and attachments, saved when download is on), HTML
+ * documents ('full-html') and text.
+ * @returns {Object} Registry with register, unregister and parse methods
+ */
+function createParserRegistry() {
+    const parsers = [];
+
+    const mimeTypeOf = response => (response.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    const isAttachment = response => /^\s*attachment/i.test(response.headers.get('Content-Disposition') || '');
+
+    const registry = {
+        /**
+         * Registers a parser.
+         * @param {Function} matchFn - (response, mimeType, context) => boolean
+         * @param {Function} parseFn - (response, context, config) => data or Promise of data
+         * @param {string} typeName - Response type passed to onSuccess and the swap
+         * @returns {Object} The registry
+         */
+        register(matchFn, parseFn, typeName) {
+            if (typeof matchFn !== 'function' || typeof parseFn !== 'function' || !typeName) {
+                throw new Error('A parser needs match and parse functions and a type name.');
+            }
+            parsers.unshift({ match: matchFn, parse: parseFn, type: typeName });
+            return registry;
+        },
+
+        /**
+         * Removes every parser registered for a type.
+         * @param {string} typeName - Response type
+         * @returns {boolean} True if a parser was removed
+         */
+        unregister(typeName) {
+            const remaining = parsers.filter(parser => parser.type !== typeName);
+            const removed = remaining.length !== parsers.length;
+            parsers.splice(0, parsers.length, ...remaining);
+            return removed;
+        },
+
+        /**
+         * Parses a response with the first matching parser.
+         * @param {Response|Object} response - Response
+         * @param {HTMLFormElement|null} context - The form context
+         * @param {Object} config - Configuration object
+         * @returns {Promise<Object>} { type, data }
+         */
+        async parse(response, context, config = {}) {
+            const mimeType = mimeTypeOf(response);
+            const parser = parsers.find(candidate => candidate.match(response, mimeType, context));
+            return { type: parser.type, data: await parser.parse(response, context, config) };
+        }
+    };
+
+    registry
+        .register(() => true, response => response.text(), 'text')
+        .register(
+            (response, mimeType) => mimeType === 'text/html' || mimeType === 'application/xhtml+xml',
+            response => response.text(),
+            'full-html'
+        )
+        .register(
+            (response, mimeType) => isAttachment(response) || (mimeType !== '' && !/^text\/|[/+](json|xml|javascript)$/.test(mimeType)),
+            async (response, context, config) => {
+                const blob = await response.blob();
+                if (config.download !== false && isAttachment(response)) {
+                    saveBlob(blob, parseContentDispositionFilename(response.headers.get('Content-Disposition')));
+                }
+                return blob;
+            },
+            'blob'
+        )
+        .register(
+            (response, mimeType) => mimeType === 'application/xml' || mimeType === 'text/xml' || (mimeType.endsWith('+xml') && mimeType !== 'application/xhtml+xml'),
+            async response => new DOMParser().parseFromString(await response.text(), 'application/xml'),
+            'xml'
+        )
+        .register(response => response.headers.get('X-Partial-View') === 'true', response => response.text(), 'x-html')
+        .register((response, mimeType) => mimeType === 'application/json' || mimeType.endsWith('+json'), response => response.json(), 'json')
+        .register(
+            (response, mimeType) => ['application/x-ndjson', 'application/ndjson', 'application/jsonl', 'application/x-jsonlines'].includes(mimeType),
+            readNdjson,
+            'ndjson'
+        );
+
+    return registry;
+}
+
+/**
+ * Reads a newline-delimited JSON response line by line as it streams in,
+ * passing each parsed line to config.onChunk.
+ * @param {Response|Object} response - Response
+ * @param {HTMLFormElement|null} context - The form context
+ * @param {Object} config - Configuration object
+ * @returns {Promise<any[]>} Every parsed line
+ */
+async function readNdjson(response, context, config) {
+    const chunks = [];
+    let buffer = '';
+
+    const flush = (line) => {
+        if (line.trim() === '') return;
+        const chunk = JSON.parse(line);
+        chunks.push(chunk);
+        if (config.onChunk) config.onChunk(chunk, context, chunks.length - 1);
+    };
+    const feed = (text) => {
+        buffer += text;
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.forEach(flush);
+    };
+
+    if (response.body && typeof response.body.getReader === 'function') {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder('utf-8');
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                feed(decoder.decode(value, { stream: true }));
+            }
+            feed(decoder.decode(new Uint8Array(0)));
+        } finally {
+            if (reader.releaseLock) reader.releaseLock();
+        }
+    } else {
+        feed(await response.text());
+    }
+
+    flush(buffer);
+    return chunks;
+}
+
+/**
+ * Extracts the file name of a Content-Disposition header, preferring the
+ * RFC 5987 filename* parameter.
+ * @param {string|null} header - Content-Disposition value
+ * @returns {string} File name ('download' when missing)
+ */
+function parseContentDispositionFilename(header) {
+    const value = header || '';
+    const encoded = /filename\*\s*=\s*(?:[\w-]+)''([^;]+)/i.exec(value);
+    if (encoded) {
+        try {
+            return decodeURIComponent(encoded[1].trim().replace(/^"|"$/g, ''));
+        } catch (e) {
+            // Malformed encodings fall back to the plain filename
+        }
+    }
+    const plain = /filename\s*=\s*("([^"]*)"|[^;]+)/i.exec(value);
+    return plain ? (plain[2] !== undefined ? plain[2] : plain[1].trim()) : 'download';
+}
+
+/**
+ * Saves a Blob as a file through a temporary object URL link.
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+function saveBlob(blob, filename) {
+    if (typeof URL.createObjectURL !== 'function') return;
+
+    const objectUrl = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(objectUrl), 0);
+}
+
+/**
+ * Creates an ordered interceptor stack. Handlers may be async; a handler returning
+ * undefined keeps the current value, any other value replaces it, and false stops
+ * the chain.
+ * @returns {Object} Stack with use, eject, clear and run methods
+ */
+function createInterceptorStack() {
+    const handlers = [];
+    let nextId = 0;
+
+    return {
+        /**
+         * Registers a handler.
+         * @param {Function} handler - (value) => value | undefined | false
+         * @param {Object} options - { order: number } lower runs first; ties keep registration order
+         * @returns {number} Handler id for eject()
+         */
+        use(handler, options = {}) {
+            if (typeof handler !== 'function') {
+                throw new Error('An interceptor handler must be a function.');
+            }
+            const id = nextId++;
+            handlers.push({ id, handler, order: options.order || 0 });
+            handlers.sort((a, b) => a.order - b.order || a.id - b.id);
+            return id;
+        },
+
+        /**
+         * Removes a handler.
+         * @param {number} id - Id returned by use()
+         * @returns {boolean} True if a handler was removed
+         */
+        eject(id) {
+            const index = handlers.findIndex(entry => entry.id === id);
+            if (index === -1) return false;
+            handlers.splice(index, 1);
+            return true;
+        },
+
+        /**
+         * Removes all handlers.
+         */
+        clear() {
+            handlers.length = 0;
+        },
+
+        /**
+         * Passes a value through every handler in order.
+         * @param {any} value - Initial value
+         * @returns {Promise<any>} Final value, or false when a handler stopped the chain
+         */
+        async run(value) {
+            for (const { handler } of [...handlers]) {
+                const result = await handler(value);
+                if (result === false) return false;
+                if (result !== undefined) value = result;
+            }
+            return value;
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Gnex;
+}